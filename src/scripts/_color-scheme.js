@@ -8,6 +8,7 @@ export class ColorSchemeController {
     this.STATUS_BAR_META_NAME = 'apple-mobile-web-app-status-bar-style';
     this.LS_KEY = 'color-scheme';
     this.ORDER = ['light', 'dark']; // toggle only
+    this.CHANGE_EVENT = 'color-scheme-change'; // fired on document, detail: { scheme }
 
     // start the controller on construction to preserve previous behaviour
     this.init();
@@ -136,6 +137,7 @@ export class ColorSchemeController {
         this.setThemeColorByScheme(next);
         this.writeStored(next);
         this.applyIcon(target, next);
+        document.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, { detail: { scheme: next } }));
       },
       { capture: true }
     );
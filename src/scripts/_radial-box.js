@@ -6,7 +6,8 @@
           center/button sizes driven by viewport width.
  Features:
    - Lazy init via initRadialBox() so tests without a [data-radial] element
-     do not fail.
+     do not fail. Each instance owns one container (constructor argument,
+     first [data-radial] by default); auto-boot creates one per container.
    - updateRadialScale() interpolates between mobile & desktop baselines and
      writes CSS custom properties consumed by styles (_radial.css).
    - Idempotent: skips DOM writes if interpolation ratio unchanged.
@@ -285,7 +286,8 @@ export class RadialBox {
     this._raf = requestAnimationFrame(step);
   }
 
-  initRadialBox() {
+  /** @param {Element|null} [el] radial container (default: first [data-radial] in the document). */
+  initRadialBox(el = document.querySelector('[data-radial]')) {
     if (this.__radialBoxInitialized) return;
 
     // Feature-detect CSS trigonometric functions (cos,sin,round,acos).
@@ -297,7 +299,7 @@ export class RadialBox {
       }
     } catch {}
 
-    this.radialEl = document.querySelector('[data-radial]');
+    this.radialEl = el;
     this.originalSizes = { center: 288, buttons: [96, 144, 216, 144, 216, 96] };
     this.originalMinSizes = { center: 146, buttons: [42, 64, 106, 64, 106, 42] };
     this.lastScaleRatio = -1;
@@ -341,12 +343,17 @@ export class RadialBox {
     this.__radialBoxInitialized = true;
   }
 
-  constructor() {
-    this.initRadialBox();
+  /** @param {Element|null} [el] radial container (default: first [data-radial] in the document). */
+  constructor(el) {
+    this.initRadialBox(el);
   }
 }
 
-// Auto-instantiate only in browser runtime (skip when running unit tests)
+// Auto-instantiate only in browser runtime (skip when running unit tests): one box per [data-radial]
 if (!import.meta?.vitest) {
-  new RadialBox();
+  const radials = document.querySelectorAll('[data-radial]');
+
+  if (!radials.length) new RadialBox();
+
+  for (const el of radials) new RadialBox(el);
 }
@@ -0,0 +1,222 @@
+/*
+==============================================================================
+ Module: _ambient.js
+ Role: Optional idle motion once the intro has settled: the groups drift on
+       smooth noise ('drift') or breathe around their common center
+       ('breathe'), a few px around the spot where they rest.
+ Exports: installAmbient(mixinTarget), smoothNoise(seed, t)
+ Methods:
+   - startAmbient() → begin (no-op when off, reduced motion or tab hidden)
+   - stopAmbient({ restore }) → stop; restore puts the groups back home
+   - pauseAmbient({ restore }) → stop and resume after AMBIENT.resumeMs
+   - setAmbient(mode) → switch mode at runtime
+   - attachAmbient() / detachAmbient() → interaction, visibility, resize and
+     prefers-reduced-motion listeners
+ Notes:
+   - Offsets are applied on top of a captured home translate (never
+     accumulated), clamped with clampGroupBox, and faded in over rampMs.
+   - The loop owns the groups in the engine's translate registry: a glide,
+     snap or layout tween interrupts it; drag / keyboard moves and resizes
+     pause it, and it restarts from wherever the groups ended up. It never
+     restarts while a pointer still holds a group (dragPointers), even one
+     held still.
+   - Hidden tabs (Page Visibility API) stop the loop entirely.
+==============================================================================
+*/
+import { activeTranslate, claimTranslate, getTranslate, releaseTranslate, setTranslate } from './_animation-engine.js';
+import { getClock } from './_clock.js';
+import { AMBIENT, LOGO_EVENTS } from './_constants.js';
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+/** Deterministic pseudo-random value in [-1, 1] for an integer lattice point. */
+const lattice = (seed, i) => {
+  const s = Math.sin(seed * 127.1 + i * 311.7) * 43758.5453;
+
+  return (s - Math.floor(s)) * 2 - 1;
+};
+
+/**
+ * 1D value noise in [-1, 1]: continuous in `t` (one lattice cell per unit),
+ * smoothstep-interpolated, independent per `seed`.
+ * @param {number} seed
+ * @param {number} t
+ */
+export function smoothNoise(seed, t) {
+  const i = Math.floor(t);
+  const f = t - i;
+  const k = f * f * (3 - 2 * f);
+
+  return lattice(seed, i) * (1 - k) + lattice(seed, i + 1) * k;
+}
+
+export function installAmbient(cls) {
+  Object.assign(cls.prototype, {
+    /** Offset (px) of group `index` at `seconds` into the ambient loop. */
+    ambientOffset(index, seconds, center, home) {
+      const { amplitude, period } = AMBIENT;
+
+      if (this.ambientMode === 'breathe') {
+        const dx = home.cx - center.x;
+        const dy = home.cy - center.y;
+        const len = Math.hypot(dx, dy) || 1;
+        const k = amplitude * Math.sin((2 * Math.PI * seconds) / period);
+
+        return { x: (dx / len) * k, y: (dy / len) * k };
+      }
+
+      const t = seconds / period;
+
+      return { x: amplitude * smoothNoise(index * 2 + 1, t), y: amplitude * smoothNoise(index * 2 + 2, t) };
+    },
+    startAmbient() {
+      if (this.ambient || this.ambientMode === 'off' || this.destroyed) return;
+      if (this.prefersReducedMotion() || document.hidden) return;
+      if (!this.stateEl?.classList.contains('loader-done')) return;
+
+      // A group is held, or a glide, snap or layout transition still runs: start once it is done
+      if (this.ambientBlocked()) {
+        this.scheduleAmbientResume();
+        return;
+      }
+
+      const clock = getClock();
+      const homes = this.groups.map(({ node }) => {
+        const c = this.centerOf(node);
+
+        return { node, ...getTranslate(node), cx: c.x, cy: c.y };
+      });
+      const center = {
+        x: homes.reduce((acc, h) => acc + h.cx, 0) / homes.length,
+        y: homes.reduce((acc, h) => acc + h.cy, 0) / homes.length,
+      };
+      const start = clock.now();
+      let rafId = null;
+
+      const handle = {
+        homes,
+        stopped: false,
+        // Called by stopAmbient(), or by the engine when another animation claims a group
+        cancel: () => {
+          if (rafId != null) clock.cancelFrame(rafId);
+
+          rafId = null;
+
+          for (const { node } of homes) releaseTranslate(node, handle);
+
+          if (this.ambient === handle) this.ambient = null;
+          if (!handle.stopped) this.scheduleAmbientResume();
+        },
+      };
+
+      const step = (now) => {
+        const elapsed = Math.max(0, now - start);
+        const ramp = Math.min(1, elapsed / AMBIENT.rampMs);
+
+        homes.forEach((home, i) => {
+          const o = this.ambientOffset(i, elapsed / 1000, center, home);
+
+          setTranslate(home.node, home.x + o.x * ramp, home.y + o.y * ramp);
+          this.clampGroupBox(home.node);
+        });
+
+        this.updateTrail();
+        rafId = clock.requestFrame(step);
+      };
+
+      for (const { node } of homes) claimTranslate(node, handle);
+
+      this.ambient = handle;
+      rafId = clock.requestFrame(step);
+    },
+    stopAmbient({ restore = false } = {}) {
+      const clock = getClock();
+
+      if (this.ambientResumeTimer != null) clock.clearTimeout(this.ambientResumeTimer);
+
+      this.ambientResumeTimer = null;
+
+      const handle = this.ambient;
+
+      if (!handle) return;
+
+      handle.stopped = true;
+      handle.cancel();
+
+      if (!restore) return;
+
+      for (const { node, x, y } of handle.homes) setTranslate(node, x, y);
+
+      this.updateTrail();
+    },
+    /** Stop now and restart after AMBIENT.resumeMs without further interaction. */
+    pauseAmbient(options) {
+      this.stopAmbient(options);
+      this.scheduleAmbientResume();
+    },
+    /** A pointer still holds a group, or another animation owns one. */
+    ambientBlocked() {
+      return this.dragPointers.size > 0 || this.groups.some(({ node }) => activeTranslate(node));
+    },
+    scheduleAmbientResume() {
+      const clock = getClock();
+
+      if (this.ambientResumeTimer != null) clock.clearTimeout(this.ambientResumeTimer);
+
+      this.ambientResumeTimer = clock.setTimeout(() => {
+        this.ambientResumeTimer = null;
+
+        // Still held / gliding / snapping: wait another round
+        if (this.ambientBlocked()) this.scheduleAmbientResume();
+        else this.startAmbient();
+      }, AMBIENT.resumeMs);
+    },
+    /**
+     * Switch the idle motion ('off' | 'drift' | 'breathe'); unknown modes are ignored.
+     * @param {string} mode
+     */
+    setAmbient(mode) {
+      if (!AMBIENT.modes.includes(mode)) return;
+
+      this.stopAmbient({ restore: true });
+      this.ambientMode = mode;
+      this.startAmbient();
+    },
+    attachAmbient() {
+      if (this.ambientListeners) return;
+
+      const onVisibility = () => {
+        if (document.hidden) this.stopAmbient({ restore: true });
+        else this.startAmbient();
+      };
+      const onMotionPref = () => {
+        if (this.prefersReducedMotion()) this.stopAmbient({ restore: true });
+        else this.startAmbient();
+      };
+      // Resize handlers re-anchor from the current translate: hand them the home spot
+      const onResize = () => this.ambient && this.pauseAmbient({ restore: true });
+      const query = window.matchMedia?.(REDUCED_MOTION);
+
+      document.addEventListener('visibilitychange', onVisibility);
+      window.addEventListener('resize', onResize);
+      query?.addEventListener?.('change', onMotionPref);
+
+      const offs = [LOGO_EVENTS.dragStart, LOGO_EVENTS.dragMove].map((name) =>
+        this.on(name, () => this.pauseAmbient()),
+      );
+
+      this.ambientListeners = () => {
+        document.removeEventListener('visibilitychange', onVisibility);
+        window.removeEventListener('resize', onResize);
+        query?.removeEventListener?.('change', onMotionPref);
+
+        for (const off of offs) off();
+      };
+    },
+    detachAmbient() {
+      this.stopAmbient();
+      this.ambientListeners?.();
+      this.ambientListeners = null;
+    },
+  });
+}
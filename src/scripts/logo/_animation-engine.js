@@ -4,17 +4,24 @@
  * =============================================================================
  * Lightweight helpers (no external deps) for translate-only animations:
  *  • Parse/apply translate(x,y)
- *  • power2 / power3 inOut easing
+ *  • Easing by name (catalogue in _easing.js, re-exported here)
  *  • Promise-based (rAF) tween + robust WeakMap store
+ *  • Cancellable tween handles + per-element registry (new tween interrupts old)
  *
  * Technical notes:
  *  • Preserves existing scale() (compact-mode friendly)
  *  • WeakMap avoids losing state if browser reformats style.transform
- *  • Test-friendly: no hidden global side-effects
+ *  • Test-friendly: no hidden global side-effects; time and frames come from
+ *    the pluggable clock in _clock.js (ManualClock in tests)
  * =============================================================================
  * @ts-check
  */
 
+import { getClock } from './_clock.js';
+import { easingByName } from './_easing.js';
+
+export { Easing, easingByName, isEasingName } from './_easing.js';
+
 // Internal cache: persists the last translate even if the browser rewrites style.transform
 const __translateStore = new WeakMap();
 
@@ -70,52 +77,179 @@ export function incTranslate(el, dx, dy) {
   setTranslate(el, x + dx, y + dy);
 }
 
-/** Easing functions (monotone, clamp t∈[0,1]) */
-export const Easing = {
-  power2InOut: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
-  power3InOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
-};
+/**
+ * Forget the cached translate of an element (after its style was restored
+ * externally, e.g. on teardown) so the next read parses style.transform.
+ * @param {HTMLElement} el
+ */
+export function forgetTranslate(el) {
+  __translateStore.delete(el);
+}
+
+// Active translate tween per element: starting a new one interrupts the previous owner
+const __activeTweens = new WeakMap();
+
+// Per-element token counter: only the latest tween on a node may keep writing to it
+const __tweenTokens = new WeakMap();
+
+/**
+ * Register `handle` as the active translate animation of `el`, cancelling the
+ * previous one (if any). Handles only need a `cancel()` method.
+ * @param {HTMLElement} el
+ * @param {{cancel:()=>void}} handle
+ */
+export function claimTranslate(el, handle) {
+  const prev = __activeTweens.get(el);
+
+  __activeTweens.set(el, handle);
+
+  if (prev && prev !== handle) prev.cancel();
+}
+
+/** Drop `handle` from the registry if it is still the active one for `el`. */
+export function releaseTranslate(el, handle) {
+  if (__activeTweens.get(el) === handle) __activeTweens.delete(el);
+}
 
-/** Map easing name → function (fallback: identity) */
-export function easingByName(name) {
-  return name === 'power2.inOut' ? Easing.power2InOut : name === 'power3.inOut' ? Easing.power3InOut : (t) => t;
+/** Active translate animation handle for `el` (null when idle). */
+export function activeTranslate(el) {
+  return __activeTweens.get(el) ?? null;
 }
 
+/** Cancel the running translate animation of `el` (no-op when idle). */
+export function cancelTranslate(el) {
+  __activeTweens.get(el)?.cancel();
+}
+
+/**
+ * @typedef {Object} TranslateTween
+ * @property {HTMLElement} el
+ * @property {number} token
+ * @property {Promise<void>} promise resolves on completion, cancel() or finish()
+ * @property {boolean} cancelled
+ * @property {boolean} settled
+ * @property {{x:number,y:number}} velocity current velocity (px/s), sampled per frame
+ * @property {() => void} cancel stop where it is (calls onCancel)
+ * @property {() => void} finish jump to the end values (calls onUpdate + onComplete)
+ */
+
 /**
- * Animate element translate by a delta using requestAnimationFrame.
+ * Start a translate tween by a delta and return its handle. Starting another
+ * tween on the same element interrupts this one (cancel semantics).
  * @param {HTMLElement} el
  * @param {number} dx
  * @param {number} dy
- * @param {{duration?:number,ease?:string,onUpdate?:()=>void,onComplete?:()=>void}} [options]
- * @returns {Promise<void>}
+ * @param {{duration?:number,ease?:string,onUpdate?:()=>void,onComplete?:()=>void,onCancel?:()=>void}} [options]
+ * @returns {TranslateTween}
  */
-export function animateTranslate(el, dx, dy, { duration = 0.5, ease = 'power3.inOut', onUpdate, onComplete } = {}) {
-  const start = performance.now();
+export function tweenTranslate(
+  el,
+  dx,
+  dy,
+  { duration = 0.5, ease = 'power3.inOut', onUpdate, onComplete, onCancel } = {}
+) {
+  let ez = easingByName(ease);
+  const prev = activeTranslate(el);
+
+  // Spring easings inherit the velocity of the tween being interrupted (projected on the new delta).
+  if (ez.withVelocity && prev?.velocity && (dx || dy)) {
+    const v = (prev.velocity.x * dx + prev.velocity.y * dy) / (dx * dx + dy * dy);
+
+    ez = ez.withVelocity((v * duration) / ez.settleTime);
+  }
+
+  const token = (__tweenTokens.get(el) ?? 0) + 1;
+
+  __tweenTokens.set(el, token);
+
+  let resolveFn = null;
+  let rafId = null;
+
+  /** @type {TranslateTween} */
+  const handle = {
+    el,
+    token,
+    promise: new Promise((resolve) => {
+      resolveFn = resolve;
+    }),
+    cancelled: false,
+    settled: false,
+    velocity: { x: 0, y: 0 },
+    cancel() {
+      if (handle.settled) return;
+
+      handle.cancelled = true;
+      settle();
+      onCancel?.();
+    },
+    finish() {
+      if (handle.settled) return;
+
+      setTranslate(el, sx + dx, sy + dy);
+      settle();
+      onUpdate?.();
+      onComplete?.();
+    },
+  };
+
+  const settle = () => {
+    handle.settled = true;
+
+    if (rafId != null) getClock().cancelFrame(rafId);
+
+    releaseTranslate(el, handle);
+    resolveFn();
+  };
+
+  claimTranslate(el, handle);
+
+  // Start values read after claiming, i.e. where an interrupted tween stopped
   const { x: sx, y: sy } = getTranslate(el);
-  const ez = easingByName(ease);
+  const start = getClock().now();
+  let lastNow = start;
+
+  const frame = (now) => {
+    rafId = null;
+
+    if (handle.settled || __tweenTokens.get(el) !== token) return;
 
-  return new Promise((resolve) => {
-    const frame = (now) => {
-      const t = Math.min(1, (now - start) / (duration * 1000));
+    const t = Math.min(1, (now - start) / (duration * 1000));
+
+    if (t < 1) {
       const k = ez(t);
+      const prevPos = getTranslate(el);
+      const dt = (now - lastNow) / 1000;
 
       setTranslate(el, sx + dx * k, sy + dy * k);
+
+      if (dt > 0) handle.velocity = { x: (sx + dx * k - prevPos.x) / dt, y: (sy + dy * k - prevPos.y) / dt };
+
+      lastNow = now;
       onUpdate?.();
+      rafId = getClock().requestFrame(frame);
+    } else {
+      // snap
+      handle.finish();
+    }
+  };
+
+  rafId = getClock().requestFrame(frame);
 
-      if (t < 1) {
-        requestAnimationFrame(frame);
-      } else {
-        // snap
-        setTranslate(el, sx + dx, sy + dy);
-        onUpdate?.();
-        onComplete?.();
-        resolve();
-      }
-    };
-
-    requestAnimationFrame(frame);
-  });
+  return handle;
+}
+
+/**
+ * Animate element translate by a delta, one step per frame of the active clock.
+ * Promise-only shorthand for tweenTranslate (resolves on completion or interruption).
+ * @param {HTMLElement} el
+ * @param {number} dx
+ * @param {number} dy
+ * @param {{duration?:number,ease?:string,onUpdate?:()=>void,onComplete?:()=>void,onCancel?:()=>void}} [options]
+ * @returns {Promise<void>}
+ */
+export function animateTranslate(el, dx, dy, options = {}) {
+  return tweenTranslate(el, dx, dy, options).promise;
 }
 
-/** Sleep async (ms). */
-export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+/** Sleep async (ms) on the active clock. */
+export const sleep = (ms) => new Promise((r) => getClock().setTimeout(r, ms));
@@ -7,14 +7,29 @@
  Design:
    - All tweens operate in pixel space using percent targets converted each
      time to avoid stale viewport assumptions.
-   - settleAfterStep performs a two-frame wait to ensure style & layout have
-     fully flushed before proceeding (robust against batching by the browser).
+   - The wiggle → pose3 → pose4 → anchors sequence is described as data
+     (PRELOADER_SCRIPT, or a JSON pose script, see _choreography.js) and
+     played through a Timeline, so it can be paused, seeked or scrubbed.
+   - Frames, timers and timestamps come from the pluggable clock (_clock.js)
+     so tests can step the whole preloader deterministically.
    - Reduced motion path skips intermediate poses and jumps directly to the
      final anchored arrangement.
+   - A resize / rotation while the intro plays re-targets the tweens in
+     flight (retargetPreloader) instead of moving the groups underneath them.
 =============================================================================
 */
-import { animateTranslate, getTranslate, incTranslate, sleep } from './_animation-engine.js';
-import { POSE3, POSE4, SAFE_AREA_PADDING, TO_POSE, WIGGLE } from './_constants.js';
+import {
+  animateTranslate,
+  cancelTranslate,
+  easingByName,
+  getTranslate,
+  incTranslate,
+  sleep,
+} from './_animation-engine.js';
+import { readChoreographySource, validateChoreography } from './_choreography.js';
+import { getClock } from './_clock.js';
+import { BREAKPOINT_TRANSITION, LOGO_EVENTS, MOBILE_POSE_COMPRESS, SAFE_AREA_PADDING } from './_constants.js';
+import { Timeline } from './_timeline.js';
 
 export function installAnimationFlow(cls) {
   Object.assign(cls.prototype, {
@@ -26,60 +41,62 @@ export function installAnimationFlow(cls) {
     waitForViewportStability(opts = {}) {
       const cfg = { framesStable: 25, epsilon: 1, minWait: 50, maxWait: 1000, ...opts };
       const vv = window.visualViewport;
+      const clock = getClock();
       let lastH;
       let stable = 0;
-      const start = performance.now();
+      const start = clock.now();
       return new Promise((resolve) => {
         const loop = () => {
-          const now = performance.now();
+          const now = clock.now();
           const h = vv?.height ?? window.innerHeight;
           if (lastH != null && Math.abs(h - lastH) <= cfg.epsilon) stable++;
           else stable = 0;
           lastH = h;
           const elapsed = now - start;
+          if (this.destroyed) return resolve();
           if ((stable >= cfg.framesStable && elapsed >= cfg.minWait) || elapsed >= cfg.maxWait) return resolve();
-          requestAnimationFrame(loop);
+          clock.requestFrame(loop);
         };
-        requestAnimationFrame(loop);
+        clock.requestFrame(loop);
       });
     },
     async fadeInIfNeeded() {
-      if (!document.body.classList.contains('logo-fade-in-start')) {
+      const state = this.stateEl;
+
+      if (!state.classList.contains('logo-fade-in-start')) {
         // Maintain previous small delay before wiggle if no fade sequence.
         await sleep(200);
         return;
       }
       // Kick off fade-in on next frame to allow styles to apply
       await this.nextFrame();
-      document.body.classList.add('logo-fade-in-active');
+      state.classList.add('logo-fade-in-active');
 
-      document.body.addEventListener(
+      state.addEventListener(
         'transitionend',
         () => {
-          document.body.classList.add('logo-faded');
+          if (!this.destroyed) state.classList.add('logo-faded');
         },
         { once: true }
       );
     },
     nextFrame() {
-      return new Promise((res) => requestAnimationFrame(() => res()));
+      return new Promise((res) => getClock().requestFrame(() => res()));
     },
     flushLayout() {
       this.groups.forEach(({ node }) => {
         node.getBoundingClientRect();
       });
     },
-    async settleAfterStep() {
-      await this.nextFrame();
-      this.flushLayout();
-      await this.nextFrame();
-    },
-    tweenTo(node, refEl, [tx, ty], opts = {}) {
+    /** Translate delta moving `node` so that its center (measured via refEl) lands on [tx, ty]. */
+    deltaTo(node, refEl, [tx, ty]) {
       const base = this.baseCenters.get(refEl) ?? this.centerOf(refEl);
       const t = getTranslate(node);
-      const current = { x: base.x + t.x, y: base.y + t.y };
-      const dx = tx - current.x;
-      const dy = ty - current.y;
+
+      return { dx: tx - (base.x + t.x), dy: ty - (base.y + t.y) };
+    },
+    tweenTo(node, refEl, target, opts = {}) {
+      const { dx, dy } = this.deltaTo(node, refEl, target);
 
       return animateTranslate(node, dx, dy, {
         duration: opts.duration ?? opts.dur ?? 0.5,
@@ -88,6 +105,13 @@ export function installAnimationFlow(cls) {
           this.updateTrail();
         },
         onComplete: opts.onComplete,
+        onCancel: opts.onCancel,
+      });
+    },
+    /** Interrupt any running translate tween (standalone or timeline) on the groups. */
+    cancelTweens() {
+      this.groups.forEach(({ node }) => {
+        cancelTranslate(node);
       });
     },
     percentToPx([px, py]) {
@@ -103,217 +127,341 @@ export function installAnimationFlow(cls) {
         return [(rc.left + rc.width / 2 - rect.left) / rect.width, (rc.top + rc.height / 2 - rect.top) / rect.height];
       };
 
-      return { v1: toPct(this.groups[0].node), v2: toPct(this.groups[1].node), v3: toPct(this.groups[2].node) };
+      return Object.fromEntries(this.groups.map(({ node }) => [node.id, toPct(node)]));
     },
     async runPreloader() {
       this.setDragEnabled(false);
+      this.introSkipped = false;
+      this.loaderDoneEmitted = false;
+      this.firedStepEvents.clear();
+      this.attachIntroSkip();
+
+      // A shared (#logo=…) or saved arrangement becomes the layout the intro ends in
+      this.arrangement = this.readSavedArrangement();
+
+      await this.prepareIntroLayout();
 
-      const [g1, g2, g3] = this.groups;
+      if (this.destroyed) return;
+
+      await this.fadeInIfNeeded();
+
+      if (this.destroyed) return;
+
+      const reducedMotion = this.prefersReducedMotion();
+
+      await this.playIntro(reducedMotion);
+
+      // A breakpoint transition cut the intro short: finish once the groups have landed
+      while (this.layoutTransition) await this.layoutTransition;
+
+      // destroy() kills the timeline: leave the restored SVG untouched
+      if (this.destroyed) return;
+
+      // Reduced motion, or skipped (before or during the timeline): jump to the anchors
+      if (reducedMotion || this.introSkipped) {
+        this.snapToAnchors();
+        this.trailDraw?.cancel();
+      }
+
+      this.detachIntroSkip();
+      this.writeIntroSeen();
+
+      // Script events of steps that did not play (e.g. logo:midway) still fire once
+      this.flushStepEvents(this.choreography.steps);
+      this.markLoaderDone({ skipped: this.introSkipped, reducedMotion });
+      this.updateTrail();
+      this.setDragEnabled(this.dragOptIn);
+      this.startAmbient();
+    },
+    /** Load the pose script, wait for a stable viewport, then place the groups in their initial packed state. */
+    async prepareIntroLayout() {
+      // Custom pose script (data-logo-choreography*) loads while the viewport settles
+      const scriptReady = this.loadChoreography();
 
       // 0. Viewport stability gate (avoid starting from transient height on iOS pull-to-refresh)
       try {
         await this.waitForViewportStability();
       } catch {}
 
+      await scriptReady;
+
+      if (this.destroyed) return;
+
       // Ensure compact scaling is applied up-front on mobile so the first
       // visible animation (wiggle) starts from the correct scaled layout.
       try {
-        if (this.logoCompact && this.currentGroupScale !== 0.5) {
+        if (this.currentGroupScale !== this.targetGroupScale()) {
           this.applyGroupScaleTransform();
           this.updateTrail();
           this.flushLayout();
         }
       } catch {}
 
-      // Step 1 (initial state): center vertically + pack horizontally (v1|v2|v3) before any visible motion.
+      // Step 1 (initial state): center vertically + pack horizontally (v1|v2|…) before any visible motion.
       try {
-        const r = this.svgRect();
-        const b1 = g1.node.getBoundingClientRect();
-        const b2 = g2.node.getBoundingClientRect();
-        const b3 = g3.node.getBoundingClientRect();
-        // Vertical centering: shift all three groups so their average Y aligns to viewport center
-        const c1v = this.centerOf(g1.node);
-        const c2v = this.centerOf(g2.node);
-        const c3v = this.centerOf(g3.node);
-        const avgY = (c1v.y + c2v.y + c3v.y) / 3;
-        const targetCy = r.top + r.height / 2;
-        const dy = targetCy - avgY;
-        if (Math.abs(dy) > 0.5) {
-          incTranslate(g1.node, 0, dy);
-          incTranslate(g2.node, 0, dy);
-          incTranslate(g3.node, 0, dy);
-        }
-        const totalW = b1.width + b2.width + b3.width;
-        const left = r.left + (r.width - totalW) / 2;
-        const t1x = left + b1.width / 2;
-        const t2x = t1x + b1.width / 2 + b2.width / 2; // v1 right edge meets v2 left edge
-        const t3x = t2x + b2.width / 2 + b3.width / 2; // v2 right edge meets v3 left edge
-
-        const c1 = this.centerOf(g1.node);
-        const c2 = this.centerOf(g2.node);
-        const c3 = this.centerOf(g3.node);
-
-        // Horizontal packing (after optional vertical shift)
-        incTranslate(g1.node, t1x - c1.x, 0);
-        incTranslate(g2.node, t2x - c2.x, 0);
-        incTranslate(g3.node, t3x - c3.x, 0);
-
-        this.updateTrail();
-        // Flush to ensure subsequent measurements reflect the packed state
-        this.flushLayout();
+        this.packGroups();
       } catch {}
+    },
+    /** Play the intro timeline, or only announce the intro when it is not animated. */
+    async playIntro(reducedMotion) {
+      if (reducedMotion || this.introSkipped) {
+        this.emit(LOGO_EVENTS.introStart, { mode: reducedMotion ? 'reduced' : 'skipped', steps: [] });
+        return;
+      }
 
-      const cur = this.currentPercents();
-      await this.fadeInIfNeeded();
-      const step2 = { v1: [cur.v1[0] + WIGGLE.dxV1, cur.v1[1]], v2: cur.v2, v3: [cur.v3[0] + WIGGLE.dxV3, cur.v3[1]] };
+      const script = this.introScript();
 
-      if (this.prefersReducedMotion()) {
-        const target = this.anchorTargetsPx();
-        const keys = ['v1', 'v2', 'v3'];
+      this.preloaderTimeline = this.buildPreloaderTimeline(this.preloaderSteps(script));
 
-        this.groups.forEach((g, idx) => {
-          const [tx, ty] = target[keys[idx]];
-          const c = this.centerOf(g.node);
+      if (this.trailDrawOn) this.drawOnTrail();
 
-          incTranslate(g.node, tx - c.x, ty - c.y);
-          this.clampGroupBox(g.node);
-        });
+      this.emit(LOGO_EVENTS.introStart, {
+        mode: script === this.choreography ? 'full' : 'short',
+        steps: script.steps.map((s) => s.label),
+      });
+
+      await this.preloaderTimeline.play();
+    },
+    /** Initial state: center the groups vertically and pack them side by side (v1|v2|…|vN). */
+    packGroups() {
+      const nodes = this.groups.map(({ node }) => node);
+      const r = this.svgRect();
+      const boxes = nodes.map((node) => node.getBoundingClientRect());
+      // Vertical centering: shift all groups so their average Y aligns to viewport center
+      const avgY = nodes.reduce((acc, node) => acc + this.centerOf(node).y, 0) / nodes.length;
+      const dy = r.top + r.height / 2 - avgY;
+      if (Math.abs(dy) > 0.5) {
+        for (const node of nodes) incTranslate(node, 0, dy);
+      }
+      const totalW = boxes.reduce((acc, b) => acc + b.width, 0);
+      // Horizontal packing (after optional vertical shift): each right edge meets the next left edge
+      let left = r.left + (r.width - totalW) / 2;
 
-        this.updateTrail();
-        document.body.classList.add('loader-done');
-        this.setDragEnabled(this.dragOptIn);
+      nodes.forEach((node, i) => {
+        const c = this.centerOf(node);
 
-        return;
+        incTranslate(node, left + boxes[i].width / 2 - c.x, 0);
+        left += boxes[i].width;
+      });
+
+      this.updateTrail();
+      // Flush to ensure subsequent measurements reflect the packed state
+      this.flushLayout();
+    },
+    /**
+     * Load the pose script configured on <body> (inline JSON or JSON file) and
+     * install it when valid. Problems are reported and the current script kept.
+     */
+    async loadChoreography() {
+      let raw = null;
+
+      try {
+        const source = this.configElement('data-logo-choreography', 'data-logo-choreography-src');
+
+        raw = await readChoreographySource(source);
+      } catch (err) {
+        console.warn('[neeeda-logo] Could not load choreography, using default:', err);
       }
 
-      if (this.isMobile()) {
-        // Expand horizontally up to 320px total (or viewport-safe-area if smaller), without exceeding boundaries
-        const r = this.svgRect();
-        const pad = SAFE_AREA_PADDING.mobile ?? 0;
-        const fullLeft = r.left + pad;
-        const fullRight = r.right - pad;
-        const fullWidth = Math.max(0, fullRight - fullLeft);
-        const allowedW = Math.min(fullWidth, 320);
-        const slack = fullWidth - allowedW;
-        const L = fullLeft + Math.max(0, slack / 2);
-        const R = L + allowedW;
-
-        const b1 = g1.node.getBoundingClientRect();
-        const b2 = g2.node.getBoundingClientRect();
-        const b3 = g3.node.getBoundingClientRect();
-        const c1 = this.centerOf(g1.node);
-        const c2 = this.centerOf(g2.node);
-        const c3 = this.centerOf(g3.node);
-
-        // Targets: v1 flush to left, v3 flush to right, v2 centered in the gap
-        const t1x = L + b1.width / 2;
-        const t3x = R - b3.width / 2;
-        const v1Right = t1x + b1.width / 2;
-        const v3Left = t3x - b3.width / 2;
-        const midCenter = (v1Right + v3Left) / 2;
-        // Ensure v2 stays within [L..R]
-        const min2 = L + b2.width / 2;
-        const max2 = R - b2.width / 2;
-        const t2x = Math.max(min2, Math.min(max2, midCenter));
-
-        await Promise.all([
-          this.tweenTo(g1.node, g1.node, [t1x, c1.y], { duration: WIGGLE.dur, ease: WIGGLE.ease }),
-          this.tweenTo(g2.node, g2.node, [t2x, c2.y], { duration: WIGGLE.dur, ease: WIGGLE.ease }),
-          this.tweenTo(g3.node, g3.node, [t3x, c3.y], { duration: WIGGLE.dur, ease: WIGGLE.ease }),
-        ]);
-      } else {
-        await Promise.all([
-          this.tweenTo(g1.node, g1.node, this.percentToPx(step2.v1), { duration: WIGGLE.dur, ease: WIGGLE.ease }),
-          this.tweenTo(g2.node, g2.node, this.percentToPx(step2.v2), { duration: WIGGLE.dur, ease: WIGGLE.ease }),
-          this.tweenTo(g3.node, g3.node, this.percentToPx(step2.v3), { duration: WIGGLE.dur, ease: WIGGLE.ease }),
-        ]);
+      if (raw != null) this.setChoreography(raw);
+
+      return this.choreography;
+    },
+    /**
+     * Validate and install a pose script (see _choreography.js for the format).
+     * Returns the validation errors (empty array when installed).
+     */
+    setChoreography(script) {
+      const { valid, errors, script: normalized } = validateChoreography(script, { keys: this.groupKeys() });
+
+      if (!valid) {
+        console.warn('[neeeda-logo] Invalid choreography, using default:', errors);
+        return errors;
       }
 
-      await this.settleAfterStep();
+      this.choreography = normalized;
+
+      return errors;
+    },
+    /**
+     * Runtime steps for the current pose script. Targets are functions returning
+     * client px centers per group key so they are evaluated when the step starts.
+     */
+    preloaderSteps(script = this.choreography) {
+      const targetsFor = (step) => {
+        if (step.type === 'wiggle') return () => this.wiggleTargetsPx(step);
+        if (step.type === 'anchors') return () => this.anchorTargetsPx();
+
+        return () => this.poseTargetsPx(step.pose, step.mobileCompress);
+      };
 
-      await sleep(WIGGLE.hold * 1000);
+      return script.steps.map((step) => ({
+        label: step.label,
+        type: step.type,
+        targets: targetsFor(step),
+        dur: step.dur,
+        ease: step.ease,
+        hold: step.hold,
+        event: step.event,
+        revealAt: step.reveal,
+      }));
+    },
+    /** Build a (paused) Timeline playing the given steps in sequence. */
+    buildPreloaderTimeline(steps = this.preloaderSteps()) {
+      const resets = [];
+      const tl = new Timeline({
+        onRetarget: () => {
+          for (const reset of resets) reset();
+        },
+      });
+      const nodes = this.groups.map(({ node }) => node);
+
+      steps.forEach((step, index) => {
+        // Targets are shared by the step's tweens and resolved once, when the step starts
+        // (again on retarget); a group the step has no target for stays where it is.
+        let targets = null;
+        resets.push(() => {
+          targets = null;
+        });
+        const deltaFor = (node) => {
+          const target = (targets ??= step.targets())[node.id];
 
-      {
-        // Tween to POSE3 with reduced vertical gap on mobile (compress v2.y towards avg(v1.y, v3.y))
-        const p1 = this.percentToPx(POSE3.v1);
-        const p2 = this.percentToPx(POSE3.v2);
-        const p3 = this.percentToPx(POSE3.v3);
+          return target ? this.deltaTo(node, node, target) : { dx: 0, dy: 0 };
+        };
 
-        if (this.isMobile()) {
-          const yAvg = (p1[1] + p3[1]) / 2;
-          const K = 0.6; // compression factor (0=no gap, 1=original gap)
-          p2[1] = yAvg + (p2[1] - yAvg) * K;
+        tl.addLabel(step.label);
+        tl.to(
+          nodes,
+          {
+            dx: (node) => deltaFor(node).dx,
+            dy: (node) => deltaFor(node).dy,
+            duration: step.dur,
+            ease: step.ease,
+            // Wiggle offsets are relative to where the groups are: recomputing them mid-flight would drift
+            retarget: step.type !== 'wiggle',
+            onUpdate: () => {
+              this.updateTrail();
+            },
+          },
+          step.label
+        );
+
+        if (step.revealAt != null) {
+          tl.call(() => this.markLoaderDone(), `${step.label}+=${step.revealAt}`);
         }
 
-        await Promise.all([
-          this.tweenTo(g1.node, g1.node, p1, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-          this.tweenTo(g2.node, g2.node, p2, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-          this.tweenTo(g3.node, g3.node, p3, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-        ]);
+        tl.call(() => {
+          step.event && this.emitStepEvent(step.event);
+          this.emit(LOGO_EVENTS.pose, { label: step.label, type: step.type, index });
+        }, `${step.label}+=${step.dur}`);
 
-        // Midway signal: after first pose transition completes
-        window.dispatchEvent(new CustomEvent('logo:midway'));
-      }
+        if (step.hold) tl.hold(step.hold);
+      });
 
-      await this.settleAfterStep();
+      return tl;
+    },
+    /**
+     * Viewport changed while the intro plays: aim the tweens in flight at
+     * targets recomputed for the new size (later steps resolve theirs when
+     * they start). Returns false when no intro is running.
+     */
+    retargetPreloader() {
+      const tl = this.preloaderTimeline;
 
-      await sleep(TO_POSE.hold * 1000);
+      if (!tl || tl.paused) return false;
 
-      {
-        // Tween to POSE4 with reduced vertical gap on mobile
-        const p1 = this.percentToPx(POSE4.v1);
-        const p2 = this.percentToPx(POSE4.v2);
-        const p3 = this.percentToPx(POSE4.v3);
+      tl.retarget();
+      this.updateTrail();
 
-        if (this.isMobile()) {
-          const yAvg = (p1[1] + p3[1]) / 2;
-          const K = 0.6;
-          p2[1] = yAvg + (p2[1] - yAvg) * K;
-        }
+      return true;
+    },
+    /** Wiggle targets: percent offsets from the current spot (desktop) or spread up to mobileSpread px (mobile). */
+    wiggleTargetsPx({ offsets = {}, mobileSpread = 320 } = {}) {
+      const keys = this.groupKeys();
+
+      if (!this.isMobile()) {
+        const cur = this.currentPercents();
+        const shifted = (key) => {
+          const [dx, dy] = offsets[key] ?? [0, 0];
 
-        await Promise.all([
-          this.tweenTo(g1.node, g1.node, p1, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-          this.tweenTo(g2.node, g2.node, p2, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-          this.tweenTo(g3.node, g3.node, p3, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-        ]);
+          return this.percentToPx([cur[key][0] + dx, cur[key][1] + dy]);
+        };
+
+        return Object.fromEntries(keys.map((key) => [key, shifted(key)]));
       }
 
-      await this.settleAfterStep();
+      // Expand horizontally up to mobileSpread px total (or viewport-safe-area if smaller), without exceeding boundaries
+      const r = this.svgRect();
+      const pad = SAFE_AREA_PADDING.mobile ?? 0;
+      const fullLeft = r.left + pad;
+      const fullRight = r.right - pad;
+      const fullWidth = Math.max(0, fullRight - fullLeft);
+      const allowedW = Math.min(fullWidth, mobileSpread);
+      const slack = fullWidth - allowedW;
+      const L = fullLeft + Math.max(0, slack / 2);
+      const R = L + allowedW;
+
+      // Targets: first flush to left, last flush to right, the others spread in the gap (within [L..R])
+      const nodes = this.groups.map(({ node }) => node);
+      const xs = this.spreadCentersX(
+        nodes.map((node) => node.getBoundingClientRect().width),
+        L,
+        R
+      );
 
-      await sleep(TO_POSE.hold * 1000);
+      return Object.fromEntries(keys.map((key, i) => [key, [xs[i], this.centerOf(nodes[i]).y]]));
+    },
+    /**
+     * Percent pose → px targets (groups missing from the pose get none), with reduced
+     * vertical gap on mobile (compress the middle groups' y towards avg(first.y, last.y)).
+     */
+    poseTargetsPx(pose, K = MOBILE_POSE_COMPRESS) {
+      const keys = this.groupKeys().filter((key) => pose[key]);
+      const targets = Object.fromEntries(keys.map((key) => [key, this.percentToPx(pose[key])]));
 
-      const target = this.anchorTargetsPx();
-      const revealMs = Math.max(0, TO_POSE.dur * 1000 - 500);
-      const revealTimer = setTimeout(() => {
-        document.body.classList.add('loader-done');
-      }, revealMs);
+      if (this.isMobile() && keys.length > 2) {
+        const yAvg = (targets[keys[0]][1] + targets[keys.at(-1)][1]) / 2;
 
-      await Promise.all([
-        this.tweenTo(g1.node, g1.node, target.v1, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-        this.tweenTo(g2.node, g2.node, target.v2, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-        this.tweenTo(g3.node, g3.node, target.v3, { duration: TO_POSE.dur, ease: TO_POSE.ease }),
-      ]);
+        for (const key of keys.slice(1, -1)) targets[key][1] = yAvg + (targets[key][1] - yAvg) * K;
+      }
 
-      clearTimeout(revealTimer);
-      document.body.classList.add('loader-done');
-      this.updateTrail();
-      this.setDragEnabled(this.dragOptIn);
+      return targets;
     },
-    async animateLayoutTransition() {
+    /**
+     * Animated breakpoint transition: the compact scale (and trail width) and
+     * the move to the new anchors run as one tween. A running intro is cut
+     * short (its tweens would fight the transition); runPreloader waits for
+     * `layoutTransition` to settle, then finishes as usual.
+     * @param {boolean} [compact] compact flag for the new layout (default: unchanged)
+     */
+    async animateLayoutTransition(compact = this.logoCompact) {
       this.setDragEnabled(false);
+      this.preloaderTimeline?.kill();
+      this.cancelTweens();
 
-      const target = this.anchorTargetsPx();
-      const keys = ['v1', 'v2', 'v3'];
+      if (compact !== this.logoCompact) {
+        this.logoCompact = compact;
+        this.emit(LOGO_EVENTS.compact, { compact, animated: true });
+      }
 
-      await Promise.all(
-        this.groups.map((g, idx) => {
-          const [tx, ty] = target[keys[idx]];
+      // Set before the first await: the killed intro resumes on a later microtask and checks it
+      const transition = this.animateGroupTransition(this.targetGroupScale(), () => this.anchorTargetsPx(), {
+        duration: BREAKPOINT_TRANSITION.dur * 1000,
+        easing: easingByName(BREAKPOINT_TRANSITION.ease),
+      });
 
-          return this.tweenTo(g.node, g.node, [tx, ty], { duration: 0.8, ease: 'power2.inOut' });
-        })
-      );
+      this.layoutTransition = transition;
+      await transition;
 
-      this.setDragEnabled(this.dragOptIn);
+      if (this.layoutTransition === transition) this.layoutTransition = null;
+
+      // destroy() cancels the transition: leave the restored SVG untouched
+      if (this.destroyed) return;
+
+      this.updateTrail();
+
+      // Still inside the intro: runPreloader enables drag once it is done
+      if (this.stateEl?.classList.contains('loader-done')) this.setDragEnabled(this.dragOptIn);
     },
   });
 }
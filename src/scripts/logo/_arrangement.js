@@ -0,0 +1,132 @@
+/*
+==============================================================================
+ Module: _arrangement.js
+ Role: Save / share / restore the user's arrangement of the groups, as percent
+       centers inside the SVG box (same space as currentPercents()).
+ Exports: installArrangement(mixinTarget), serializeArrangement(percents),
+          parseArrangement(text, keys)
+ Methods:
+   - saveArrangement() → serialized current layout, written to localStorage
+   - arrangementUrl() → current page URL with the layout in its hash
+   - readSavedArrangement() → URL hash first, then localStorage, else null
+   - applyArrangement(percents) → make it the home layout and move there now
+   - clearArrangement() → back to the default anchors (storage cleared)
+ Notes:
+   - A restored arrangement replaces the default anchors in anchorTargetsPx(),
+     so the intro, resize, Home key and idle snap all come back to it.
+   - data-logo-persist="true" saves automatically once a move settles.
+   - Storage access fails silently (private mode), like the intro flag.
+==============================================================================
+*/
+import { getTranslate, setTranslate } from './_animation-engine.js';
+import { ARRANGEMENT } from './_constants.js';
+
+/**
+ * Encode percent centers as `v1:0.32,0.56;v2:…` (fixed precision).
+ * @param {Record<string, [number, number]>} percents
+ */
+export function serializeArrangement(percents) {
+  const num = (v) => String(Number(v.toFixed(ARRANGEMENT.precision)));
+
+  return Object.entries(percents)
+    .map(([key, [x, y]]) => `${key}:${num(x)},${num(y)}`)
+    .join(';');
+}
+
+/**
+ * Decode serializeArrangement() output; null unless every key is present
+ * with coordinates in [0, 1].
+ * @param {string|null|undefined} text
+ * @param {string[]} [keys]
+ * @returns {Record<string, [number, number]>|null}
+ */
+export function parseArrangement(text, keys = ['v1', 'v2', 'v3']) {
+  if (!text) return null;
+
+  const out = {};
+
+  for (const part of String(text).split(';')) {
+    const [key, coords = ''] = part.split(':');
+    const point = coords.split(',').map(Number);
+
+    if (point.length !== 2 || !point.every((n) => Number.isFinite(n) && n >= 0 && n <= 1)) return null;
+
+    out[key] = point;
+  }
+
+  return keys.every((key) => out[key]) ? Object.fromEntries(keys.map((key) => [key, out[key]])) : null;
+}
+
+const readStorage = () => {
+  try {
+    return localStorage.getItem(ARRANGEMENT.storageKey);
+  } catch {
+    return null;
+  }
+};
+
+const writeStorage = (value) => {
+  try {
+    if (value == null) localStorage.removeItem(ARRANGEMENT.storageKey);
+    else localStorage.setItem(ARRANGEMENT.storageKey, value);
+  } catch {}
+};
+
+export function installArrangement(cls) {
+  Object.assign(cls.prototype, {
+    /** Px targets of the home arrangement (percent centers → client px). */
+    arrangementTargetsPx(percents = this.arrangement) {
+      return Object.fromEntries(Object.entries(percents).map(([key, p]) => [key, this.percentToPx(p)]));
+    },
+    saveArrangement() {
+      const text = serializeArrangement(this.currentPercents());
+
+      writeStorage(text);
+
+      return text;
+    },
+    arrangementUrl() {
+      const params = new URLSearchParams(location.hash.slice(1));
+
+      params.delete(ARRANGEMENT.hashParam);
+
+      const rest = params.toString();
+      const hash = `${rest ? `${rest}&` : ''}${ARRANGEMENT.hashParam}=${serializeArrangement(this.currentPercents())}`;
+
+      return `${location.origin}${location.pathname}${location.search}#${hash}`;
+    },
+    readSavedArrangement() {
+      const keys = this.groupKeys();
+      const fromHash = new URLSearchParams(location.hash.slice(1)).get(ARRANGEMENT.hashParam);
+
+      return parseArrangement(fromHash, keys) ?? parseArrangement(readStorage(), keys);
+    },
+    /** Called once a drop / nudge settles: save when data-logo-persist="true". */
+    autosaveArrangement() {
+      if (this.persistArrangement && !this.destroyed) this.saveArrangement();
+    },
+    applyArrangement(percents) {
+      this.arrangement = percents;
+
+      const targets = this.arrangementTargetsPx();
+
+      for (const { node } of this.groups) {
+        const target = targets[node.id];
+
+        if (!target) continue;
+
+        const { dx, dy } = this.deltaTo(node, node, target);
+        const t = getTranslate(node);
+
+        setTranslate(node, t.x + dx, t.y + dy);
+        this.clampGroupBox(node);
+      }
+
+      this.updateTrail();
+    },
+    clearArrangement() {
+      this.arrangement = null;
+      writeStorage(null);
+    },
+  });
+}
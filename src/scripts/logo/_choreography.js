@@ -0,0 +1,172 @@
+/*
+=============================================================================
+ Module: _choreography.js
+ Purpose: Load and validate preloader pose scripts so alternative intros
+          (seasonal, campaign) can ship as JSON without touching JS.
+ Script format (JSON):
+   {
+     "version": 1,
+     "steps": [
+       { "type": "wiggle", "offsets": { "v1": [-0.07, 0], "v3": [0.07, 0] }, "dur": 0.55, "hold": 0.2 },
+       { "label": "pose3", "pose": { "v1": [0.32, 0.56], "v2": [0.64, 0.24], "v3": [0.64, 0.64] },
+         "dur": 0.85, "ease": "power3.inOut", "hold": 0.15, "mobileCompress": 0.6, "event": "logo:midway" },
+       { "type": "anchors", "dur": 0.85, "reveal": 0.35 }
+     ]
+   }
+   - type: 'wiggle' (percent offsets from the current spot; mobile spreads
+     the groups over `mobileSpread` px), 'pose' (percent targets inside the
+     SVG box; default when `pose` is present) or 'anchors' (final layout,
+     required as last step so resize logic keeps working).
+   - label: any non-empty string without '+=' / '-=' and other than '<' /
+     '>' (labels are Timeline positions, see _timeline.js).
+   - dur / hold / reveal in seconds; ease is any _easing.js name;
+     mobileCompress in [0,1]; event is a window CustomEvent name.
+ Sources (read from <body>):
+   - data-logo-choreography="{…}" inline JSON, or
+   - data-logo-choreography-src="/intros/winter.json" fetched at boot.
+ Notes:
+   - Invalid scripts are reported (console.warn with every problem found)
+     and the default PRELOADER_SCRIPT is played instead.
+=============================================================================
+*/
+import { isEasingName } from './_animation-engine.js';
+import { MOBILE_POSE_COMPRESS, TO_POSE } from './_constants.js';
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/** Labels double as Timeline positions: '', '<', '>' and '+=' / '-=' offsets would be read as such. */
+const isPositionSyntax = (label) => /^[<>]?$|[+-]=/.test(label);
+
+const isPoint = (v, min, max) => Array.isArray(v) && v.length === 2 && v.every((n) => isNum(n) && n >= min && n <= max);
+
+/** Check an optional number in [min, max]; push an error when present but invalid. */
+const checkNumber = (errors, path, value, min = 0, max = Infinity) => {
+  if (value === undefined) return;
+  if (!isNum(value) || value < min || value > max) {
+    errors.push(`${path} must be a number in [${min}, ${max}]`);
+  }
+};
+
+/** Timing / metadata fields shared by every step type. */
+function checkCommonFields(step, path, errors) {
+  checkNumber(errors, `${path}.dur`, step.dur);
+  checkNumber(errors, `${path}.hold`, step.hold);
+  checkNumber(errors, `${path}.reveal`, step.reveal);
+  checkNumber(errors, `${path}.mobileCompress`, step.mobileCompress, 0, 1);
+  checkNumber(errors, `${path}.mobileSpread`, step.mobileSpread);
+
+  if (step.ease !== undefined && !(typeof step.ease === 'string' && isEasingName(step.ease))) {
+    errors.push(`${path}.ease "${step.ease}" is not a known easing`);
+  }
+  if (step.label !== undefined && typeof step.label !== 'string') errors.push(`${path}.label must be a string`);
+  else if (step.label !== undefined && isPositionSyntax(step.label)) {
+    errors.push(`${path}.label "${step.label}" clashes with timeline position syntax (+=, -=, <, >)`);
+  }
+  if (step.event !== undefined && typeof step.event !== 'string') errors.push(`${path}.event must be a string`);
+}
+
+/** Per-type point checks (against the logo group keys) and type-specific defaults. */
+const STEP_KINDS = {
+  pose: {
+    check(step, path, keys, errors) {
+      for (const key of keys) {
+        if (!isPoint(step.pose?.[key], 0, 1)) errors.push(`${path}.pose.${key} must be [x, y] percentages in [0, 1]`);
+      }
+    },
+    defaults: (step) => ({ pose: step.pose, mobileCompress: step.mobileCompress ?? MOBILE_POSE_COMPRESS }),
+  },
+  wiggle: {
+    check(step, path, keys, errors) {
+      for (const [key, offset] of Object.entries(step.offsets ?? {})) {
+        if (!keys.includes(key)) errors.push(`${path}.offsets.${key} is not a logo group`);
+        else if (!isPoint(offset, -1, 1)) errors.push(`${path}.offsets.${key} must be [dx, dy] percentages in [-1, 1]`);
+      }
+    },
+    defaults: (step) => ({ offsets: step.offsets ?? {}, mobileSpread: step.mobileSpread ?? 320 }),
+  },
+  anchors: {
+    check() {},
+    defaults: () => ({ hold: 0 }),
+  },
+};
+
+/** Validate one step, push errors, return the normalized step (defaults filled in). */
+function normalizeStep(step, index, keys, errors) {
+  const path = `steps[${index}]`;
+
+  if (!step || typeof step !== 'object') {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+
+  const type = step.type ?? (step.pose ? 'pose' : undefined);
+  const kind = STEP_KINDS[type];
+
+  if (!kind) errors.push(`${path}.type must be one of ${Object.keys(STEP_KINDS).join(', ')}`);
+
+  checkCommonFields(step, path, errors);
+  kind?.check(step, path, keys, errors);
+
+  return {
+    type,
+    label: step.label ?? `${type}${index}`,
+    dur: step.dur ?? TO_POSE.dur,
+    ease: step.ease ?? TO_POSE.ease,
+    hold: TO_POSE.hold,
+    ...kind?.defaults(step),
+    ...(step.hold !== undefined && { hold: step.hold }),
+    ...(step.reveal !== undefined && { reveal: step.reveal }),
+    ...(step.event !== undefined && { event: step.event }),
+  };
+}
+
+/**
+ * Validate a pose script (object with `steps`, or a bare steps array).
+ * @param {any} input
+ * @param {{keys?:string[]}} [options] group keys every pose must define
+ * @returns {{valid:boolean, errors:string[], script:{version:number, steps:any[]}|null}}
+ */
+export function validateChoreography(input, { keys = ['v1', 'v2', 'v3'] } = {}) {
+  const errors = [];
+  const rawSteps = Array.isArray(input) ? input : input?.steps;
+
+  if (!Array.isArray(rawSteps) || rawSteps.length === 0) {
+    return { valid: false, errors: ['script must define a non-empty steps array'], script: null };
+  }
+
+  if (!Array.isArray(input) && input.version !== undefined && input.version !== 1) {
+    errors.push(`unsupported version ${input.version}`);
+  }
+
+  const steps = rawSteps.map((step, index) => normalizeStep(step, index, keys, errors));
+  const labels = steps.filter(Boolean).map((s) => s.label);
+  const duplicate = labels.find((label, i) => labels.indexOf(label) !== i);
+
+  if (duplicate) errors.push(`duplicate step label "${duplicate}"`);
+  if (steps.at(-1)?.type !== 'anchors') errors.push('last step must be of type "anchors"');
+
+  return errors.length ? { valid: false, errors, script: null } : { valid: true, errors, script: { version: 1, steps } };
+}
+
+/**
+ * Read the raw script configured on `el` (inline JSON attribute first, then a
+ * JSON file). Resolves null when nothing is configured; rejects on bad JSON
+ * or a failed request.
+ * @param {Element|null|undefined} el
+ * @returns {Promise<any>}
+ */
+export async function readChoreographySource(el) {
+  const inline = el?.getAttribute('data-logo-choreography');
+
+  if (inline) return JSON.parse(inline);
+
+  const src = el?.getAttribute('data-logo-choreography-src');
+
+  if (!src) return null;
+
+  const res = await fetch(src);
+
+  if (!res.ok) throw new Error(`HTTP ${res.status} loading ${src}`);
+
+  return res.json();
+}
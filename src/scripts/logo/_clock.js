@@ -0,0 +1,152 @@
+/*
+=============================================================================
+ Module: _clock.js
+ Purpose: Pluggable time source / frame scheduler shared by the animation
+          engine, the Timeline, _scale.js and the preloader helpers.
+ Usage:
+   - Runtime uses `realClock` (performance.now + requestAnimationFrame).
+   - Tests (or a frame-by-frame "record video" mode) install a ManualClock
+     with setClock() and advance it explicitly, so intermediate transforms
+     are exact and independent of wall-clock time.
+ Notes:
+   - Consumers must call getClock() when scheduling (never cache it at import
+     time) so a clock swapped in a test applies to the next animation.
+   - ManualClock runs due timers before frame callbacks on every step,
+     mirroring the browser's event loop order closely enough for tweens.
+=============================================================================
+*/
+
+/**
+ * @typedef {Object} Clock
+ * @property {() => number} now milliseconds
+ * @property {(cb: (now:number) => void) => number} requestFrame
+ * @property {(id: number) => void} cancelFrame
+ * @property {(cb: () => void, ms: number) => any} setTimeout
+ * @property {(id: any) => void} clearTimeout
+ */
+
+/** @type {Clock} */
+export const realClock = {
+  now: () => performance.now(),
+  requestFrame: (cb) => requestAnimationFrame(cb),
+  cancelFrame: (id) => cancelAnimationFrame(id),
+  setTimeout: (cb, ms) => setTimeout(cb, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+let current = realClock;
+
+/** Active clock. */
+export function getClock() {
+  return current;
+}
+
+/** Install a clock (null/undefined restores the real one). Returns the previous clock. */
+export function setClock(clock) {
+  const prev = current;
+
+  current = clock ?? realClock;
+
+  return prev;
+}
+
+/** Restore the real clock. */
+export function resetClock() {
+  current = realClock;
+}
+
+/** Deterministic clock: time only moves when step()/advance() is called. */
+export class ManualClock {
+  /** @param {{start?:number, frameMs?:number}} [options] */
+  constructor({ start = 0, frameMs = 1000 / 60 } = {}) {
+    this.time = start;
+    this.frameMs = frameMs;
+    this.frames = new Map();
+    this.timers = new Map();
+    this.nextId = 1;
+
+    // Bind so methods can be passed around like the globals they replace
+    this.now = this.now.bind(this);
+    this.requestFrame = this.requestFrame.bind(this);
+    this.cancelFrame = this.cancelFrame.bind(this);
+    this.setTimeout = this.setTimeout.bind(this);
+    this.clearTimeout = this.clearTimeout.bind(this);
+  }
+
+  now() {
+    return this.time;
+  }
+
+  requestFrame(cb) {
+    const id = this.nextId++;
+
+    this.frames.set(id, cb);
+
+    return id;
+  }
+
+  cancelFrame(id) {
+    this.frames.delete(id);
+  }
+
+  setTimeout(cb, ms = 0) {
+    const id = this.nextId++;
+
+    this.timers.set(id, { cb, due: this.time + Math.max(0, ms) });
+
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  /** Number of frame callbacks waiting for the next step. */
+  pendingFrames() {
+    return this.frames.size;
+  }
+
+  /** Advance by `ms` (default one frame): run due timers, then one batch of frame callbacks. */
+  step(ms = this.frameMs) {
+    this.time += ms;
+
+    const due = [...this.timers].filter(([, t]) => t.due <= this.time).sort((a, b) => a[1].due - b[1].due);
+
+    for (const [id, t] of due) {
+      this.timers.delete(id);
+      t.cb();
+    }
+
+    // Callbacks requested while running belong to the next frame
+    const batch = [...this.frames.values()];
+
+    this.frames.clear();
+
+    for (const cb of batch) cb(this.time);
+
+    return this;
+  }
+
+  /**
+   * Step frame by frame over `ms`, letting promise continuations run between
+   * frames (async flows such as runPreloader await tween promises).
+   */
+  async advance(ms, frameMs = this.frameMs) {
+    let left = ms;
+
+    while (left > 0) {
+      const dt = Math.min(frameMs, left);
+
+      this.step(dt);
+      left -= dt;
+      await flushMicrotasks();
+    }
+
+    return this;
+  }
+}
+
+/** Let queued promise reactions run (a few rounds for chained awaits). */
+export async function flushMicrotasks(rounds = 10) {
+  for (let i = 0; i < rounds; i++) await Promise.resolve();
+}
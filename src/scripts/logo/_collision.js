@@ -0,0 +1,87 @@
+/*
+==============================================================================
+ Module: _collision.js
+ Role: Keep dragged (or gliding) groups from overlapping each other so the
+       trail never collapses into a blob.
+ Exports: installCollision(mixinTarget), separation(a, b, gap)
+ Methods:
+   - resolveCollisions(node) → {dx, dy} correction applied to `node`
+   - collideWith(node, other) / pushGroup(other, dx, dy) → per-pair helpers
+ Notes:
+   - Same rect logic as clampGroupBox: client-px deltas from layoutRect()
+     (client rect without the parallax offset) are added to the translate.
+   - Mode 'stop' moves the active group back out of the other boxes; 'push'
+     moves the other groups instead (still clamped to the safe area) and only
+     stops the active group for what they could not absorb.
+   - Configured with data-logo-collide="off|stop|push" (default off) and
+     data-logo-collide-gap (px, default COLLISION.gap).
+==============================================================================
+*/
+import { getTranslate, incTranslate } from './_animation-engine.js';
+
+/**
+ * Smallest translate moving rect `a` out of rect `b` (keeping `gap` px between
+ * them), along the axis with the least penetration; {0,0} when already apart.
+ * @param {{left:number,top:number,right:number,bottom:number}} a
+ * @param {{left:number,top:number,right:number,bottom:number}} b
+ * @param {number} [gap]
+ * @returns {{dx:number, dy:number}}
+ */
+export function separation(a, b, gap = 0) {
+  const toRight = b.right + gap - a.left;
+  const toLeft = a.right + gap - b.left;
+  const toBottom = b.bottom + gap - a.top;
+  const toTop = a.bottom + gap - b.top;
+  const px = Math.min(toRight, toLeft);
+  const py = Math.min(toBottom, toTop);
+
+  if (px <= 0 || py <= 0) return { dx: 0, dy: 0 };
+
+  if (px <= py) return { dx: toRight < toLeft ? toRight : -toLeft, dy: 0 };
+
+  return { dx: 0, dy: toBottom < toTop ? toBottom : -toTop };
+}
+
+export function installCollision(cls) {
+  Object.assign(cls.prototype, {
+    resolveCollisions(node) {
+      const total = { dx: 0, dy: 0 };
+
+      if (this.collisionMode !== 'stop' && this.collisionMode !== 'push') return total;
+
+      for (const { node: other } of this.groups) {
+        if (!other || other === node) continue;
+
+        const [dx, dy] = this.collideWith(node, other);
+
+        total.dx += dx;
+        total.dy += dy;
+      }
+
+      return total;
+    },
+    /** Separate `node` from `other` (per collisionMode); returns the correction applied to `node`. */
+    collideWith(node, other) {
+      const { dx, dy } = separation(this.layoutRect(node), this.layoutRect(other), this.collisionGap);
+
+      if (!dx && !dy) return [0, 0];
+
+      const [rx, ry] = this.collisionMode === 'push' ? this.pushGroup(other, -dx, -dy) : [dx, dy];
+
+      if (rx || ry) incTranslate(node, rx, ry);
+
+      return [rx, ry];
+    },
+    /** Move `other` by (dx, dy) within the safe area; returns the part it could not absorb, for the pusher. */
+    pushGroup(other, dx, dy) {
+      const before = getTranslate(other);
+
+      incTranslate(other, dx, dy);
+      this.clampGroupBox(other);
+
+      const after = getTranslate(other);
+
+      return [-(dx - (after.x - before.x)), -(dy - (after.y - before.y))];
+    },
+  });
+}
@@ -4,38 +4,84 @@
  Role: Provides compact mode toggle & trail stroke width application.
  Exports: installCompact(mixinTarget)
  Methods:
-   - applyTrailStrokeWidth()
-   - setLogoCompact(on, { animate = true }) → Promise
- Depends on: animateGroupScaleTransform / applyGroupScaleTransform from _scale.js
+   - applyTrailStrokeWidth() → width interpolated from the target scale
+   - setLogoCompact(on, { animate = true }) → Promise (preset endpoints;
+     the scale mode is left alone, so fluid follows the viewport again
+     on the next resize)
+   - setScaleMode('fluid' | 'steps') → switch scale mode at runtime
+   - syncFluidScale() → fluid mode: follow the viewport (resize handler)
+   - compactForBreakpoint(wantCompact) → Promise, breakpoint crossings
+ Depends on: animateGroupScaleTransform / applyGroupScaleTransform from _scale.js,
+             emit() from _events.js (logo:compact when the flag changes)
 ==============================================================================
 */
+import { GROUP_SCALE, LOGO_EVENTS } from './_constants.js';
+
 export function installCompact(cls) {
   Object.assign(cls.prototype, {
-    /** Apply current logoCompact flag to both trail segments. */
-    applyTrailStrokeWidth() {
-      if (!this.trailA || !this.trailB) return;
+    /** Trail width for a group scale: MIN_TRAIL_SW at minScale, MAX_TRAIL_SW at maxScale, linear in between. */
+    strokeWidthFor(scale) {
+      const { minScale, maxScale } = GROUP_SCALE;
+      const r = Math.max(0, Math.min(1, (scale - minScale) / (maxScale - minScale)));
 
-      const sw = this.logoCompact ? this.MIN_TRAIL_SW : this.MAX_TRAIL_SW;
+      return Math.round((this.MIN_TRAIL_SW + (this.MAX_TRAIL_SW - this.MIN_TRAIL_SW) * r) * 100) / 100;
+    },
+    /** Apply the stroke width matching `scale` (default: the target scale) to every trail segment. */
+    applyTrailStrokeWidth(scale = this.targetGroupScale()) {
+      const sw = this.strokeWidthFor(scale);
 
-      this.trailA.setAttribute('stroke-width', String(sw));
-      this.trailB.setAttribute('stroke-width', String(sw));
+      for (const { path } of this.trails) path?.setAttribute('stroke-width', String(sw));
     },
-    /** Toggle compact mode (trail thickness + group scale). */
+    /** Fluid mode: rescale groups and trail for the current viewport (no-op in 'steps'). */
+    syncFluidScale() {
+      if (this.scaleMode !== 'fluid') return;
+
+      this.applyTrailStrokeWidth();
+      this.applyGroupScaleTransform();
+      this.updateTrail();
+    },
+    /** Switch between 'steps' (preset endpoints) and 'fluid' (follow the viewport); unknown modes are ignored. */
+    setScaleMode(mode) {
+      if (!GROUP_SCALE.modes.includes(mode) || mode === this.scaleMode) return;
+
+      this.scaleMode = mode;
+      this.applyTrailStrokeWidth();
+      this.applyGroupScaleTransform();
+      this.updateTrail();
+    },
+    /**
+     * Breakpoint crossing: 'steps' jumps to the preset endpoint (no animation),
+     * 'fluid' only flips the compact flag (the scale already follows the width).
+     */
+    compactForBreakpoint(wantCompact) {
+      if (this.scaleMode !== 'fluid') return this.setLogoCompact(wantCompact, { animate: false });
+
+      this.logoCompact = wantCompact;
+      this.emit(LOGO_EVENTS.compact, { compact: wantCompact, animated: false });
+
+      return Promise.resolve();
+    },
+    /** Toggle compact mode (trail thickness + group scale at the preset endpoints). */
     setLogoCompact(on, { animate = true } = {}) {
+      const changed = this.logoCompact !== !!on;
+
       this.logoCompact = !!on;
 
-      this.applyTrailStrokeWidth();
+      const targetScale = this.logoCompact ? GROUP_SCALE.minScale : GROUP_SCALE.maxScale;
+
+      this.applyTrailStrokeWidth(targetScale);
 
-      const targetScale = this.logoCompact ? 0.5 : 1;
       const shouldAnimate = animate && !this.prefersReducedMotion();
 
+      if (changed) this.emit(LOGO_EVENTS.compact, { compact: this.logoCompact, animated: shouldAnimate });
+
       if (shouldAnimate) {
         return this.animateGroupScaleTransform(targetScale).then(() => {
           this.updateTrail();
         });
       }
 
-      this.applyGroupScaleTransform();
+      this.applyGroupScaleTransform(targetScale);
       this.updateTrail();
 
       return Promise.resolve();
@@ -11,6 +11,9 @@
 	 - Only put serializable data here (no functions) to preserve tree-shaking.
 	 - When adding a new timing preset prefer consistent key names: dur, ease,
 		 hold (seconds) and domain‑specific deltas (e.g. dxV1, dxV3).
+	 - `ease` is any name understood by _easing.js ('power3.inOut',
+		 'back.out(1.4)', 'cubic-bezier(…)', 'steps(4)', 'spring(1, 120, 14)' …);
+		 unknown names are reported with console.warn.
 	 - See .github/copilot-instructions.md for authoring rules.
 =============================================================================
 */
@@ -27,6 +30,54 @@ export const POSE4 = { v1: [0.4, 0.32], v2: [0.4, 0.66], v3: [0.7, 0.32] };
 /** Generic timing spec for pose transitions. */
 export const TO_POSE = { dur: 0.85, ease: 'power3.inOut', hold: 0.15 };
 
+/** Mobile pose compression: v2.y is pulled towards avg(v1.y, v3.y) (0 = no gap, 1 = original gap). */
+export const MOBILE_POSE_COMPRESS = 0.6;
+
+/**
+ * Default preloader choreography, in the same shape as a JSON pose script
+ * (see _choreography.js): wiggle → POSE3 (midway signal) → POSE4 → anchors.
+ */
+export const PRELOADER_SCRIPT = {
+  version: 1,
+  steps: [
+    {
+      type: 'wiggle',
+      label: 'wiggle',
+      offsets: { v1: [WIGGLE.dxV1, 0], v3: [WIGGLE.dxV3, 0] },
+      dur: WIGGLE.dur,
+      ease: WIGGLE.ease,
+      hold: WIGGLE.hold,
+    },
+    {
+      type: 'pose',
+      label: 'pose3',
+      pose: POSE3,
+      dur: TO_POSE.dur,
+      ease: TO_POSE.ease,
+      hold: TO_POSE.hold,
+      mobileCompress: MOBILE_POSE_COMPRESS,
+      event: 'logo:midway',
+    },
+    {
+      type: 'pose',
+      label: 'pose4',
+      pose: POSE4,
+      dur: TO_POSE.dur,
+      ease: TO_POSE.ease,
+      hold: TO_POSE.hold,
+      mobileCompress: MOBILE_POSE_COMPRESS,
+    },
+    {
+      type: 'anchors',
+      label: 'anchors',
+      dur: TO_POSE.dur,
+      ease: TO_POSE.ease,
+      // Reveal the page content slightly before the groups land
+      reveal: Math.max(0, TO_POSE.dur - 0.5),
+    },
+  ],
+};
+
 /**
  * Safe area padding (px) split by breakpoint so callers can choose the
  * appropriate desktop/mobile value.
@@ -35,3 +86,176 @@ export const SAFE_AREA_PADDING = { desktop: 24, mobile: 24 };
 
 /** Epsilon for float comparisons (kept at 0: pixel snapping logic handles thresholds). */
 export const EPS = 0;
+
+/**
+ * Intro playback: `storageKey` remembers that the full intro was seen (for
+ * data-logo-intro="first-visit"); the short intro is the final anchors step
+ * played over `shortDur` seconds.
+ */
+export const INTRO = { storageKey: 'neeeda-logo-intro-seen', shortDur: 0.6, shortEase: 'power2.out' };
+
+/**
+ * Saved arrangements (_arrangement.js): `storageKey` in localStorage,
+ * `hashParam` in the URL hash (#logo=v1:0.32,0.56;…), `precision` decimals.
+ */
+export const ARRANGEMENT = { storageKey: 'neeeda-logo-arrangement', hashParam: 'logo', precision: 3 };
+
+/**
+ * Lifecycle events dispatched on window as CustomEvents (see _events.js for
+ * the payloads). Script step events such as 'logo:midway' come on top.
+ */
+export const LOGO_EVENTS = {
+  introStart: 'logo:intro-start',
+  pose: 'logo:pose',
+  loaderDone: 'logo:loader-done',
+  dragStart: 'logo:drag-start',
+  dragMove: 'logo:drag-move',
+  dragEnd: 'logo:drag-end',
+  compact: 'logo:compact',
+  breakpoint: 'logo:breakpoint',
+  resizeSettled: 'logo:resize-settled',
+};
+
+/**
+ * Drag release physics: `friction` is the exponential velocity decay rate
+ * (1/s), `restitution` the share of speed kept when bouncing off the safe
+ * area, speeds in px/s; `sampleMs` is the pointer history used for the
+ * release velocity.
+ */
+export const INERTIA = { friction: 5, restitution: 0.45, minSpeed: 30, maxSpeed: 4000, sampleMs: 100 };
+
+/**
+ * Collision between groups while dragging / gliding (data-logo-collide):
+ * 'off' lets groups overlap, 'stop' blocks the moving group at the other
+ * groups' boxes, 'push' shoves them along. `gap` is the minimum distance
+ * (client px) kept between group boxes (data-logo-collide-gap overrides it).
+ */
+export const COLLISION = { modes: ['off', 'stop', 'push'], mode: 'off', gap: 12 };
+
+/**
+ * Snap-back after a drag (data-logo-snap): 'idle' tweens a dropped group back
+ * to its anchor after `idleMs` without interaction, 'magnet' snaps it to the
+ * nearest anchor / POSE3 / POSE4 spot within `radius` px when it comes to
+ * rest, 'both' does both. data-logo-snap-idle overrides `idleMs`.
+ */
+export const SNAP = {
+  modes: ['off', 'idle', 'magnet', 'both'],
+  mode: 'off',
+  idleMs: 4000,
+  radius: 48,
+  dur: 0.6,
+  ease: 'back.out(1.4)',
+};
+
+/** Keyboard nudging of focused groups: arrow step / Shift+arrow step in px. */
+export const KEYBOARD = { step: 8, bigStep: 40 };
+
+/**
+ * Trail rendering (_trail-path.js): `style` is one of `styles`
+ * (data-logo-trail), `tension` in [0, 1] bends the curves
+ * (data-logo-trail-tension). The optional draw-on intro effect
+ * (data-logo-trail-draw="true") reveals the strokes over `drawDur` seconds.
+ */
+export const TRAIL = {
+  styles: ['line', 'quadratic', 'cubic', 'smooth'],
+  style: 'line',
+  tension: 0.5,
+  drawDur: 1.2,
+  drawEase: 'power2.inOut',
+};
+
+/**
+ * Export (_export.js): PNG `scale` relative to the on-screen size, file name
+ * used by the keyboard shortcut (`mod` = Ctrl or ⌘), delay (ms) before the
+ * download URL is revoked (Safari / Firefox start the download after click()
+ * returns), and the computed style properties inlined so the SVG renders
+ * standalone (theme colors, transforms).
+ */
+export const EXPORT = {
+  scale: 2,
+  filename: 'neeeda-logo',
+  shortcut: 'mod+shift+e',
+  revokeMs: 1000,
+  styleProps: [
+    'fill',
+    'fill-opacity',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'stroke-linecap',
+    'stop-color',
+    'stop-opacity',
+    'opacity',
+    'visibility',
+    'transform',
+    'translate',
+    'transform-box',
+    'transform-origin',
+  ],
+};
+
+/**
+ * Trail palette (_palette.js): gradient stops read `${varPrefix}N` custom
+ * properties; `names` lists the named palettes shipped in _logo.css
+ * (data-logo-palette). `themeEvent` is fired by ColorSchemeController.
+ */
+export const PALETTE = {
+  varPrefix: '--neeeda--trail--stop-',
+  names: ['ocean', 'mono'],
+  themeEvent: 'color-scheme-change',
+};
+
+/**
+ * Ambient idle motion after the intro (_ambient.js, data-logo-ambient):
+ * 'drift' wanders each group on smooth noise, 'breathe' pulses the groups
+ * away from / towards their common center. `amplitude` in px, `period` in
+ * seconds per noise cell / breath, `rampMs` fades the motion in,
+ * `resumeMs` is the quiet time after an interaction before it restarts.
+ */
+export const AMBIENT = {
+  modes: ['off', 'drift', 'breathe'],
+  mode: 'off',
+  amplitude: 6,
+  period: 4,
+  rampMs: 1200,
+  resumeMs: 3000,
+};
+
+/**
+ * Pointer / tilt parallax (_parallax.js, data-logo-parallax="true"): each
+ * group shifts by up to `maxOffset` px × its depth factor (`depths` by group
+ * index, data-logo-parallax-depths="0.6,1,1.4"), eased by `smoothing` per
+ * frame. Device tilt maps ±`tiltRange` degrees (around `restBeta` forward
+ * tilt) to the full offset.
+ */
+export const PARALLAX = {
+  maxOffset: 12,
+  depths: [0.6, 1, 1.4],
+  smoothing: 0.12,
+  tiltRange: 30,
+  restBeta: 45,
+};
+
+/**
+ * Group scale and trail stroke width (_scale.js / _compact.js). 'steps' uses
+ * the compact (minScale / minStroke) and full (maxScale / maxStroke)
+ * endpoints; 'fluid' (data-logo-scale="fluid") interpolates them linearly
+ * over viewport widths minWidth → maxWidth (px).
+ */
+export const GROUP_SCALE = {
+  modes: ['steps', 'fluid'],
+  mode: 'steps',
+  minScale: 0.5,
+  maxScale: 1,
+  minStroke: 24,
+  maxStroke: 48,
+  minWidth: 375,
+  maxWidth: 992,
+};
+
+/**
+ * Animated breakpoint transition (data-logo-breakpoint-animate="true"):
+ * compact scale, trail width and the move to the new anchors share one
+ * tween of `dur` seconds.
+ */
+export const BREAKPOINT_TRANSITION = { dur: 0.8, ease: 'power2.inOut' };
@@ -4,33 +4,49 @@
  Purpose: Provide pointer/touch dragging capability for each logo group while
           enforcing viewport clamping and updating the trail in real time.
  Key Points:
-   - Unified pointer & touch handling (touch events kept for broader support).
+   - Pointer Events only (touch included), tracked per pointerId in
+     dragPointers: each finger drags its own group simultaneously.
   - Clamping logic respects SAFE_AREA_PADDING margin on desktop while allowing flush
      edges on mobile to maximize usable space.
    - Translate values are mutated via animation helpers (preserve scale part).
    - Drag can be globally enabled/disabled (e.g., during preload / tweens).
+   - Other groups block or get pushed when collisions are on (_collision.js).
+   - Enabling drag also makes the groups keyboard-focusable (_keyboard.js).
+   - Release velocity is tracked and handed to startInertia() (_inertia.js);
+     the drop then settles into scheduleSnap() (_snap.js).
 =============================================================================
 */
-import { getTranslate, setTranslate } from './_animation-engine.js';
-import { SAFE_AREA_PADDING } from './_constants.js';
+import { cancelTranslate, getTranslate, setTranslate } from './_animation-engine.js';
+import { LOGO_EVENTS, SAFE_AREA_PADDING } from './_constants.js';
+import { createVelocityTracker } from './_inertia.js';
 
 export function installDrag(cls) {
   Object.assign(cls.prototype, {
-    clampGroupBox(groupNode) {
+    /** Safe-area bounds (client px) every group must stay within. */
+    safeBounds() {
       const s = this.svgRect();
       const flush = this.isMobile();
       const margin = flush ? SAFE_AREA_PADDING.mobile : SAFE_AREA_PADDING.desktop;
 
-      const bounds = {
+      return {
         minLeft: s.left + margin,
         minTop: s.top + margin,
         maxRight: s.right - margin,
         maxBottom: s.bottom - margin,
       };
-
-      const g = groupNode.getBoundingClientRect();
-      const dx = this._clampDelta(g.left, g.right, bounds.minLeft, bounds.maxRight);
-      const dy = this._clampDelta(g.top, g.bottom, bounds.minTop, bounds.maxBottom);
+    },
+    /** Translate delta bringing the group's box back inside the safe area (0,0 when inside). */
+    boundsOverflow(groupNode) {
+      const bounds = this.safeBounds();
+      const g = this.layoutRect(groupNode);
+
+      return {
+        dx: this._clampDelta(g.left, g.right, bounds.minLeft, bounds.maxRight),
+        dy: this._clampDelta(g.top, g.bottom, bounds.minTop, bounds.maxBottom),
+      };
+    },
+    clampGroupBox(groupNode) {
+      const { dx, dy } = this.boundsOverflow(groupNode);
 
       if (dx || dy) {
         const t = getTranslate(groupNode);
@@ -47,69 +63,120 @@ export function installDrag(cls) {
 
       return delta;
     },
+    /** Emit a drag lifecycle event with the group key and its current translate. */
+    emitDrag(name, groupNode) {
+      const { x, y } = getTranslate(groupNode);
+
+      this.emit(name, { key: groupNode.id, node: groupNode, x, y });
+    },
     setupDrag(groupNode) {
-      let dragging = false;
-      let startX = 0;
-      let startY = 0;
-      let base = { x: 0, y: 0 };
+      const keyboard = this.setupKeyboard(groupNode, this.groups.findIndex((g) => g.node === groupNode));
+      // Session of the pointer holding this group ({ pointerId, startX, startY, base, tracker }), if any.
+      const sessionOf = (e) => {
+        const session = this.dragPointers.get(e.pointerId);
+
+        return session?.node === groupNode ? session : null;
+      };
 
       const onDown = (e) => {
-        dragging = true;
-        groupNode.setPointerCapture?.(e.pointerId);
+        // One pointer per group: a second finger on a held group is ignored
+        if ([...this.dragPointers.values()].some((s) => s.node === groupNode)) return;
 
-        const t = e.touches?.[0];
-        const cx = t ? t.clientX : e.clientX;
-        const cy = t ? t.clientY : e.clientY;
+        groupNode.setPointerCapture?.(e.pointerId);
 
-        startX = cx;
-        startY = cy;
-        base = getTranslate(groupNode);
+        // Catch a gliding group (or interrupt any tween / pending snap on it)
+        cancelTranslate(groupNode);
+        this.cancelSnap(groupNode);
 
         this.clampGroupBox(groupNode);
         this.updateTrail();
+
+        const base = getTranslate(groupNode);
+        const tracker = createVelocityTracker();
+
+        tracker.push(base.x, base.y);
+        this.dragPointers.set(e.pointerId, { node: groupNode, startX: e.clientX, startY: e.clientY, base, tracker });
+        this.emitDrag(LOGO_EVENTS.dragStart, groupNode);
       };
       const onMove = (e) => {
-        if (!dragging) return;
+        const session = sessionOf(e);
+
+        if (!session) return;
 
-        const t = e.touches?.[0];
-        const cx = t ? t.clientX : e.clientX;
-        const cy = t ? t.clientY : e.clientY;
-        const dx = cx - startX;
-        const dy = cy - startY;
+        const { startX, startY, base, tracker } = session;
 
-        setTranslate(groupNode, base.x + dx, base.y + dy);
+        setTranslate(groupNode, base.x + e.clientX - startX, base.y + e.clientY - startY);
+        this.resolveCollisions(groupNode);
         this.clampGroupBox(groupNode);
         this.updateTrail();
+
+        const now = getTranslate(groupNode);
+
+        tracker.push(now.x, now.y);
+        this.emitDrag(LOGO_EVENTS.dragMove, groupNode);
       };
 
       const onUp = (e) => {
-        dragging = false;
+        const session = sessionOf(e);
+
+        if (!session) return;
+
+        this.dragPointers.delete(e.pointerId);
         groupNode.releasePointerCapture?.(e.pointerId);
         this.clampGroupBox(groupNode);
         this.updateTrail();
+        this.emitDrag(LOGO_EVENTS.dragEnd, groupNode);
+
+        // Glide with the release velocity (drag stays enabled: grabbing the group stops it)
+        const v = e.type === 'pointercancel' ? { x: 0, y: 0 } : session.tracker.velocity();
+        const glide = this.startInertia(groupNode, v.x, v.y);
+        const settled = glide?.promise ?? Promise.resolve();
+
+        this.scheduleSnap(groupNode, settled);
+        settled.then(() => this.autosaveArrangement());
       };
 
       const enable = () => {
         groupNode.addEventListener('pointerdown', onDown, { passive: true });
         window.addEventListener('pointermove', onMove, { passive: true });
         window.addEventListener('pointerup', onUp, { passive: true });
-        groupNode.addEventListener('touchstart', onDown, { passive: true });
-        window.addEventListener('touchmove', onMove, { passive: true });
-        window.addEventListener('touchend', onUp, { passive: true });
+        window.addEventListener('pointercancel', onUp, { passive: true });
+        keyboard.enable();
       };
 
       const disable = () => {
         groupNode.removeEventListener('pointerdown', onDown);
         window.removeEventListener('pointermove', onMove);
         window.removeEventListener('pointerup', onUp);
-        groupNode.removeEventListener('touchstart', onDown);
-        window.removeEventListener('touchmove', onMove);
-        window.removeEventListener('touchend', onUp);
+        window.removeEventListener('pointercancel', onUp);
+        keyboard.disable();
+
+        // Drop a drag in progress on this group
+        for (const [id, session] of this.dragPointers) {
+          if (session.node === groupNode) this.dragPointers.delete(id);
+        }
       };
 
       this.dragRegistry.set(groupNode, { enable, disable });
       enable();
     },
+    /**
+     * Opt in / out of dragging after the intro (mirrored to data-logo-drag on
+     * the state element for the grab cursor). Applies immediately once loaded.
+     */
+    setDragOptIn(on) {
+      this.dragOptIn = !!on;
+      this.stateEl?.setAttribute('data-logo-drag', String(this.dragOptIn));
+
+      if (this.stateEl?.classList.contains('loader-done')) this.setDragEnabled(this.dragOptIn);
+    },
+    /** Remove every drag listener and forget the registered groups. */
+    teardownDrag() {
+      for (const reg of this.dragRegistry.values()) reg.disable();
+
+      this.dragRegistry.clear();
+      this.removeLiveRegion();
+    },
     setDragEnabled(on) {
       this.groups.forEach(({ node }) => {
         const reg = this.dragRegistry.get(node);
@@ -0,0 +1,307 @@
+/*
+=============================================================================
+ Module: _easing.js
+ Purpose: Easing catalogue for the animation engine, addressable by name so
+          timing presets in _constants.js stay plain strings.
+ Supported names:
+   - GSAP-style families: 'linear' / 'none', 'power0..5', 'sine', 'expo',
+     'circ', 'back', 'elastic', 'bounce' with '.in' / '.out' / '.inOut' and
+     optional parameters, e.g. 'back.out(2)', 'elastic.out(1, 0.4)'.
+   - CSS timing functions: 'ease', 'ease-in', 'ease-out', 'ease-in-out',
+     'cubic-bezier(x1, y1, x2, y2)', 'steps(n[, jump-start|jump-end|jump-none|jump-both])'.
+   - Physics: 'spring(mass, stiffness, damping[, velocity])' (all optional).
+ Notes:
+   - powerN follows this repo's historical meaning (t^N), not GSAP's.
+   - Unknown names are reported once via console.warn and resolve to linear,
+     so a typo in a preset is visible without breaking the intro.
+   - Spring easings expose `settleTime` (seconds) and `withVelocity(v)`, used
+     by the engine to carry an interrupted tween's velocity into a new one.
+=============================================================================
+*/
+
+// --- Building blocks ------------------------------------------------------
+
+const linear = (t) => t;
+
+/** Mirror an "in" curve into its "out" counterpart (and vice versa). */
+const toOut = (fn) => (t) => 1 - fn(1 - t);
+
+/** Compose an "inOut" curve from an "in" curve. */
+const toInOut = (fn) => (t) => (t < 0.5 ? fn(2 * t) / 2 : 1 - fn(2 * (1 - t)) / 2);
+
+const powerIn = (n) => (t) => t ** n;
+
+const backIn =
+  (overshoot = 1.70158) =>
+  (t) =>
+    t * t * ((overshoot + 1) * t - overshoot);
+
+const elasticOut = (amplitude = 1, period = 0.3) => {
+  const a = Math.max(1, amplitude);
+  const s = (period / (2 * Math.PI)) * Math.asin(1 / a);
+
+  return (t) => (t <= 0 ? 0 : t >= 1 ? 1 : a * 2 ** (-10 * t) * Math.sin(((t - s) * (2 * Math.PI)) / period) + 1);
+};
+
+const bounceOut = (t) => {
+  const n = 7.5625;
+  const d = 2.75;
+
+  if (t < 1 / d) return n * t * t;
+  if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+  if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+
+  return n * (t -= 2.625 / d) * t + 0.984375;
+};
+
+/** Families keyed by GSAP name; each maps parameters to the "in" curve. */
+const FAMILIES = {
+  linear: () => linear,
+  none: () => linear,
+  // powerN is t^N: keeps the curves the presets were tuned with (power2 = quad, power3 = cubic)
+  power0: () => linear,
+  power1: () => linear,
+  power2: () => powerIn(2),
+  power3: () => powerIn(3),
+  power4: () => powerIn(4),
+  power5: () => powerIn(5),
+  sine: () => (t) => 1 - Math.cos((t * Math.PI) / 2),
+  expo: () => (t) => (t <= 0 ? 0 : 2 ** (10 * (t - 1))),
+  circ: () => (t) => 1 - Math.sqrt(1 - t * t),
+  back: (overshoot) => backIn(overshoot),
+  elastic: (amplitude, period) => toOut(elasticOut(amplitude, period)),
+  bounce: () => toOut(bounceOut),
+};
+
+// --- Cubic bezier ---------------------------------------------------------
+
+/**
+ * CSS cubic-bezier(x1, y1, x2, y2) solver (Newton iterations with bisection
+ * fallback), x1/x2 clamped to [0,1] as required by the spec.
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const ax1 = Math.min(1, Math.max(0, x1));
+  const ax2 = Math.min(1, Math.max(0, x2));
+  const curve = (a1, a2) => (t) => 3 * (1 - t) * (1 - t) * t * a1 + 3 * (1 - t) * t * t * a2 + t * t * t;
+  const slope = (a1, a2) => (t) => 3 * (1 - t) * (1 - t) * a1 + 6 * (1 - t) * t * (a2 - a1) + 3 * t * t * (1 - a2);
+  const bx = curve(ax1, ax2);
+  const dbx = slope(ax1, ax2);
+  const by = curve(y1, y2);
+
+  const solveT = (x) => {
+    let t = x;
+
+    for (let i = 0; i < 8; i++) {
+      const err = bx(t) - x;
+      const d = dbx(t);
+
+      if (Math.abs(err) < 1e-6) return t;
+      if (Math.abs(d) < 1e-6) break;
+
+      t -= err / d;
+    }
+
+    let lo = 0;
+    let hi = 1;
+
+    t = x;
+
+    for (let i = 0; i < 30 && hi - lo > 1e-7; i++) {
+      if (bx(t) < x) lo = t;
+      else hi = t;
+
+      t = (lo + hi) / 2;
+    }
+
+    return t;
+  };
+
+  return (x) => (x <= 0 ? 0 : x >= 1 ? 1 : by(solveT(x)));
+}
+
+/** CSS keyword timing functions. */
+const CSS_KEYWORDS = {
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+// --- Steps ----------------------------------------------------------------
+
+/** CSS steps(n, position) timing function. */
+export function steps(count, position = 'jump-end') {
+  const n = Math.max(1, Math.round(count));
+
+  const fns = {
+    'jump-start': (t) => Math.min(n, Math.floor(t * n) + 1) / n,
+    'jump-end': (t) => Math.floor(t * n) / n,
+    'jump-none': (t) => (n > 1 ? Math.min(n - 1, Math.floor(t * n)) / (n - 1) : 1),
+    'jump-both': (t) => (Math.floor(t * n) + 1) / (n + 1),
+  };
+  const key = position === 'start' ? 'jump-start' : position === 'end' ? 'jump-end' : position;
+  const fn = fns[key];
+
+  if (!fn) return null;
+
+  return (t) => (t <= 0 ? (key === 'jump-start' || key === 'jump-both' ? fn(0) : 0) : t >= 1 ? 1 : fn(t));
+}
+
+// --- Spring ---------------------------------------------------------------
+
+/**
+ * Damped harmonic oscillator from 0 to 1. The returned easing maps the tween
+ * progress onto the spring's settle time, so it can overshoot (> 1) before
+ * resting at 1. `velocity` is the initial velocity in progress units per
+ * second of spring time; `withVelocity` re-solves with a new one.
+ * @param {{mass?:number,stiffness?:number,damping?:number,velocity?:number}} [params]
+ * @returns {((t:number)=>number) & {settleTime:number, withVelocity:(v:number)=>any}}
+ */
+export function spring({ mass = 1, stiffness = 100, damping = 10, velocity = 0 } = {}) {
+  const m = Math.max(1e-4, mass);
+  const k = Math.max(1e-4, stiffness);
+  const c = Math.max(0, damping);
+  const w0 = Math.sqrt(k / m);
+  const zeta = c / (2 * Math.sqrt(k * m));
+  const v0 = velocity;
+
+  // Displacement from the rest position (starts at -1).
+  let displacement;
+
+  if (zeta < 1) {
+    const wd = w0 * Math.sqrt(1 - zeta * zeta);
+    const B = (v0 - zeta * w0) / wd;
+
+    displacement = (tau) => Math.exp(-zeta * w0 * tau) * (-Math.cos(wd * tau) + B * Math.sin(wd * tau));
+  } else if (zeta === 1) {
+    const B = v0 - w0;
+
+    displacement = (tau) => Math.exp(-w0 * tau) * (-1 + B * tau);
+  } else {
+    const root = Math.sqrt(zeta * zeta - 1);
+    const r1 = -w0 * (zeta - root);
+    const r2 = -w0 * (zeta + root);
+    const C2 = (v0 + r1) / (r2 - r1);
+    const C1 = -1 - C2;
+
+    displacement = (tau) => C1 * Math.exp(r1 * tau) + C2 * Math.exp(r2 * tau);
+  }
+
+  // Settle time: last sample (60 Hz, capped at 10s) still farther than 0.1% from rest.
+  let settleTime = 0;
+
+  for (let tau = 0; tau <= 10; tau += 1 / 60) {
+    if (Math.abs(displacement(tau)) > 1e-3) settleTime = tau + 1 / 60;
+  }
+
+  const ease = (t) => (t <= 0 ? 0 : t >= 1 ? 1 : 1 + displacement(t * settleTime));
+
+  return Object.assign(ease, {
+    settleTime,
+    withVelocity: (v) => spring({ mass, stiffness, damping, velocity: v }),
+  });
+}
+
+// --- Name resolution ------------------------------------------------------
+
+const parseArgs = (str) =>
+  (str || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const numericArgs = (str) => parseArgs(str).map((s) => parseFloat(s));
+
+const optionalNumbers = (str) => numericArgs(str).map((n) => (Number.isFinite(n) ? n : undefined));
+
+/** CSS-like function syntaxes: cubic-bezier(), steps(), spring(). */
+const FUNCTIONS = {
+  'cubic-bezier': (args) => {
+    const nums = numericArgs(args);
+
+    return nums.length === 4 && nums.every(Number.isFinite) ? cubicBezier(...nums) : null;
+  },
+  steps: (args) => {
+    const [count, position] = parseArgs(args);
+    const n = parseFloat(count);
+
+    return Number.isFinite(n) ? steps(n, position) : null;
+  },
+  spring: (args) => {
+    const [mass, stiffness, damping, velocity] = optionalNumbers(args);
+
+    return spring({ mass, stiffness, damping, velocity });
+  },
+};
+
+/**
+ * Resolve an easing name to a function, or null when it is not recognised.
+ * @param {string} name
+ * @returns {((t:number)=>number)|null}
+ */
+export function parseEasing(name) {
+  const raw = String(name).trim();
+
+  if (CSS_KEYWORDS[raw]) return cubicBezier(...CSS_KEYWORDS[raw]);
+
+  const call = /^([a-z-]+)(?:\((.*)\))?$/i.exec(raw);
+
+  if (call && FUNCTIONS[call[1]]) return FUNCTIONS[call[1]](call[2]);
+
+  const m = /^([a-z]+\d?)(?:\.(in|out|inOut))?(?:\((.*)\))?$/.exec(raw);
+
+  if (!m || !FAMILIES[m[1]]) return null;
+
+  const inFn = FAMILIES[m[1]](...optionalNumbers(m[3]));
+  const dir = m[2] ?? 'out'; // GSAP default direction
+
+  return dir === 'in' ? inFn : dir === 'out' ? toOut(inFn) : toInOut(inFn);
+}
+
+const __parsed = new Map();
+const __warned = new Set();
+
+/**
+ * Map easing name → function. Functions pass through unchanged; unknown
+ * names are reported once (console.warn) and fall back to linear.
+ * @param {string|((t:number)=>number)} [name]
+ * @returns {(t:number)=>number}
+ */
+export function easingByName(name) {
+  if (typeof name === 'function') return name;
+  if (name == null) return linear;
+
+  if (!__parsed.has(name)) __parsed.set(name, parseEasing(name));
+
+  const fn = __parsed.get(name);
+
+  if (fn) return fn;
+
+  if (!__warned.has(name)) {
+    __warned.add(name);
+    console.warn(`[neeeda-logo] Unknown easing "${name}", falling back to linear.`);
+  }
+
+  return linear;
+}
+
+/** Whether `name` resolves to a known easing (useful to validate presets). */
+export function isEasingName(name) {
+  return typeof name === 'function' || (name != null && parseEasing(name) != null);
+}
+
+/**
+ * Easing functions keyed camelCase (`power2InOut`, `backOut`, `bounceIn` …),
+ * generated from the families above with their default parameters.
+ */
+export const Easing = { linear };
+
+for (const family of Object.keys(FAMILIES)) {
+  if (family === 'linear' || family === 'none' || family === 'power0' || family === 'power1') continue;
+
+  const inFn = FAMILIES[family]();
+
+  Easing[`${family}In`] = inFn;
+  Easing[`${family}Out`] = toOut(inFn);
+  Easing[`${family}InOut`] = toInOut(inFn);
+}
@@ -0,0 +1,67 @@
+/*
+==============================================================================
+ Module: _events.js
+ Role: Lifecycle event bus of the controller. Events are CustomEvents on
+       window (like the historical 'logo:midway'), so page scripts, the
+       bootstrap injector or analytics can subscribe without a reference to
+       the instance. `detail.logo` is always the emitting controller.
+ Exports: installEvents(mixinTarget)
+ Methods:
+   - emit(name, detail) → dispatch `name` with { logo, ...detail }
+   - on(name, handler) → subscribe (handler receives detail), returns off()
+   - markLoaderDone(detail) → add .loader-done (state element) + emit once
+   - emitStepEvent(name) / flushStepEvents(steps) → script events, once each
+ Events (LOGO_EVENTS in _constants.js) and their detail:
+   - logo:intro-start    { mode: 'full' | 'short' | 'reduced' | 'skipped', steps: string[] }
+   - logo:pose           { label, type, index } after each step's tween ends
+   - logo:loader-done    { skipped, reducedMotion } (page content revealed)
+   - logo:drag-start     { key, node, x, y } translate in CSS px
+   - logo:drag-move      { key, node, x, y }
+   - logo:drag-end       { key, node, x, y }
+   - logo:compact        { compact, animated } when compact mode changes
+   - logo:breakpoint     { from, to } layout mode ('desktop' | 'mobile')
+   - logo:resize-settled { width, height, mode } after a resize is handled
+ Notes:
+   - Script step events ('logo:midway' in the default intro) fire exactly
+     once per intro, even when the intro is skipped, shortened or replaced
+     by the reduced-motion branch, so content waiting on them still loads.
+==============================================================================
+*/
+import { LOGO_EVENTS } from './_constants.js';
+
+export function installEvents(cls) {
+  Object.assign(cls.prototype, {
+    emit(name, detail = {}) {
+      window.dispatchEvent(new CustomEvent(name, { detail: { logo: this, ...detail } }));
+    },
+    on(name, handler) {
+      const listener = (e) => {
+        if (e.detail?.logo === undefined || e.detail.logo === this) handler(e.detail ?? {});
+      };
+
+      window.addEventListener(name, listener);
+
+      return () => window.removeEventListener(name, listener);
+    },
+    markLoaderDone(detail = {}) {
+      this.stateEl.classList.add('loader-done');
+
+      if (this.loaderDoneEmitted) return;
+
+      this.loaderDoneEmitted = true;
+      this.emit(LOGO_EVENTS.loaderDone, { skipped: false, reducedMotion: false, ...detail });
+    },
+    emitStepEvent(name) {
+      if (this.firedStepEvents.has(name)) return;
+
+      this.firedStepEvents.add(name);
+      this.emit(name);
+    },
+    /** Dispatch step events that did not fire (skipped / short / reduced-motion intro). */
+    flushStepEvents(steps) {
+      for (const step of steps) {
+        if (step.event) this.emitStepEvent(step.event);
+      }
+    },
+  });
+}
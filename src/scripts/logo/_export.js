@@ -0,0 +1,147 @@
+/*
+==============================================================================
+ Module: _export.js
+ Role: Snapshot the arranged logo: a standalone SVG string (live transforms,
+       trail paths, gradients and theme colors resolved) and a PNG blob
+       rasterized through a canvas.
+ Exports: installExport(mixinTarget), matchesShortcut(event, shortcut)
+ Methods:
+   - exportSvg() → string
+   - exportPng({ scale, width, height }) → Promise<Blob>
+   - downloadExport() → saves `${EXPORT.filename}.png`
+   - attachExportShortcut() / detachExportShortcut()
+ Notes:
+   - Computed styles (EXPORT.styleProps) are inlined on the clone, so CSS
+     rules and custom properties (var(--neeeda--color)) no longer matter.
+   - Interaction attributes (tabindex, role, aria-*) are stripped.
+   - The shortcut is opt-in: data-logo-export-shortcut="mod+shift+e" (or
+     "true" for EXPORT.shortcut); `mod` is Ctrl or ⌘.
+==============================================================================
+*/
+import { getClock } from './_clock.js';
+import { EXPORT } from './_constants.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STRIP_ATTRS = ['tabindex', 'role', 'aria-roledescription', 'aria-label'];
+
+/**
+ * Whether a keydown matches a shortcut like 'mod+shift+e'.
+ * @param {KeyboardEvent} e
+ * @param {string} shortcut
+ */
+export function matchesShortcut(e, shortcut) {
+  const parts = shortcut.toLowerCase().split('+');
+  const key = parts.pop();
+  const mods = new Set(parts);
+  const mod = e.ctrlKey || e.metaKey;
+
+  return (
+    e.key?.toLowerCase() === key &&
+    mod === mods.has('mod') &&
+    e.shiftKey === mods.has('shift') &&
+    e.altKey === mods.has('alt')
+  );
+}
+
+/** Inline the computed style properties of `from` onto `to`. */
+const inlineStyles = (from, to) => {
+  const computed = getComputedStyle(from);
+
+  for (const prop of EXPORT.styleProps) {
+    const value = computed.getPropertyValue(prop);
+
+    if (value && value !== 'none' && value !== 'normal') to.style.setProperty(prop, value);
+    else if (prop === 'transform' && from.style.transform) to.style.setProperty(prop, from.style.transform);
+  }
+};
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('[neeeda-logo] Could not rasterize the exported SVG'));
+    img.src = src;
+  });
+
+export function installExport(cls) {
+  Object.assign(cls.prototype, {
+    exportSvg() {
+      const clone = this.svg.cloneNode(true);
+      const sources = [this.svg, ...this.svg.querySelectorAll('*')];
+      const targets = [clone, ...clone.querySelectorAll('*')];
+      const r = this.svgRect();
+
+      sources.forEach((el, i) => {
+        inlineStyles(el, targets[i]);
+        for (const name of STRIP_ATTRS) targets[i].removeAttribute(name);
+      });
+
+      clone.setAttribute('xmlns', SVG_NS);
+      clone.setAttribute('width', String(Math.round(r.width)));
+      clone.setAttribute('height', String(Math.round(r.height)));
+
+      return new XMLSerializer().serializeToString(clone);
+    },
+    /**
+     * Rasterize exportSvg() to PNG. Size: explicit width / height, else the
+     * on-screen size × scale.
+     * @param {{scale?:number, width?:number, height?:number}} [options]
+     * @returns {Promise<Blob>}
+     */
+    async exportPng({ scale = EXPORT.scale, width, height } = {}) {
+      const r = this.svgRect();
+      const w = Math.max(1, Math.round(width ?? r.width * scale));
+      const h = Math.max(1, Math.round(height ?? r.height * scale));
+      const url = URL.createObjectURL(new Blob([this.exportSvg()], { type: 'image/svg+xml' }));
+
+      try {
+        const img = await loadImage(url);
+        const canvas = document.createElement('canvas');
+
+        canvas.width = w;
+        canvas.height = h;
+        canvas.getContext('2d').drawImage(img, 0, 0, w, h);
+
+        return await new Promise((resolve, reject) => {
+          canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('[neeeda-logo] PNG encoding failed'));
+          }, 'image/png');
+        });
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    },
+    /** Export a PNG and hand it to the browser as a download. */
+    async downloadExport(options) {
+      const blob = await this.exportPng(options);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+
+      a.href = url;
+      a.download = `${EXPORT.filename}.png`;
+      a.click();
+      // Revoking right away cancels the download in browsers that start it asynchronously
+      getClock().setTimeout(() => URL.revokeObjectURL(url), EXPORT.revokeMs);
+    },
+    attachExportShortcut() {
+      if (!this.exportShortcut || this.exportShortcutHandler) return;
+
+      this.exportShortcutHandler = (e) => {
+        if (!matchesShortcut(e, this.exportShortcut)) return;
+
+        e.preventDefault();
+        this.downloadExport().catch((err) => console.warn('[neeeda-logo] Export failed:', err));
+      };
+
+      window.addEventListener('keydown', this.exportShortcutHandler);
+    },
+    detachExportShortcut() {
+      if (!this.exportShortcutHandler) return;
+
+      window.removeEventListener('keydown', this.exportShortcutHandler);
+      this.exportShortcutHandler = null;
+    },
+  });
+}
@@ -6,6 +6,10 @@
  Responsibilities:
    - Convert screen (client) coordinates to SVG coordinates using native APIs.
    - Provide convenience helpers for element centers and stroke width handling.
+   - layoutRect() / centerOf() leave out the parallax offset (CSS `translate`,
+     see _parallax.js), so measurements written back to the translate store
+     (anchors, clamp, snap, collisions) do not bake it in.
+   - groupKeys() / spreadCentersX() let layouts work for any number of groups.
    - Detect responsive breakpoint (mobile vs desktop) without throwing when
      matchMedia is unavailable (e.g. test / SSR environments).
  Design Notes:
@@ -18,13 +22,55 @@
 
 export function installGeometry(cls) {
   Object.assign(cls.prototype, {
+    /** Ids of the discovered groups, in order ('v1', 'v2', …): keys of every targets object. */
+    groupKeys() {
+      return this.groups.map(({ node }) => node.id);
+    },
+    /**
+     * Center x for each box laid out in a row between `left` and `right`: the
+     * first flush left, the last flush right, the others evenly spaced
+     * between the first's right edge and the last's left edge.
+     * @param {number[]} widths
+     */
+    spreadCentersX(widths, left, right) {
+      const n = widths.length;
+      const first = left + widths[0] / 2;
+      const last = right - widths[n - 1] / 2;
+      const from = first + widths[0] / 2;
+      const to = last - widths[n - 1] / 2;
+
+      return widths.map((w, i) => {
+        if (i === 0) return first;
+        if (i === n - 1) return last;
+
+        const x = from + ((to - from) * i) / (n - 1);
+
+        return Math.max(left + w / 2, Math.min(right - w / 2, x));
+      });
+    },
     /** Bounding client rect of the root SVG (used as viewport). */
     svgRect() {
       return this.svg.getBoundingClientRect();
     },
-    /** Center (client coordinates) of any DOM element. */
-    centerOf(el) {
+    /** Client rect of `el` without its current parallax offset (groups only; other elements as measured). */
+    layoutRect(el) {
       const r = el.getBoundingClientRect();
+      const o = this.parallaxOffsets?.get(el);
+
+      if (!o) return r;
+
+      return {
+        left: r.left - o.x,
+        top: r.top - o.y,
+        right: r.right - o.x,
+        bottom: r.bottom - o.y,
+        width: r.width,
+        height: r.height,
+      };
+    },
+    /** Center (client coordinates) of any DOM element, parallax offset excluded. */
+    centerOf(el) {
+      const r = this.layoutRect(el);
 
       return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
     },
@@ -0,0 +1,127 @@
+/*
+==============================================================================
+ Module: _inertia.js
+ Role: Momentum after a drag: released groups glide with friction and bounce
+       softly off the SAFE_AREA_PADDING bounds.
+ Exports: installInertia(mixinTarget), createVelocityTracker(windowMs)
+ Methods:
+   - startInertia(node, vx, vy) → handle { cancel(), promise } or null when
+     the release speed is below INERTIA.minSpeed (or inertia is disabled)
+ Notes:
+   - The glide registers in the engine's translate registry: grabbing the
+     group again, or any tween on it (layout transition, intro), stops it.
+   - Runs on the pluggable clock and updates the trail every frame.
+   - Bounces off the other groups too when collisions are on (_collision.js).
+   - Opt out with data-logo-inertia="false".
+==============================================================================
+*/
+import { claimTranslate, incTranslate, releaseTranslate } from './_animation-engine.js';
+import { getClock } from './_clock.js';
+import { INERTIA } from './_constants.js';
+
+/** Reflect (damped) the velocity on each axis where a correction pushed against it. */
+const reflect = (v, dx, dy, restitution) => {
+  if (dx && Math.sign(dx) !== Math.sign(v.x)) v.x = -v.x * restitution;
+  if (dy && Math.sign(dy) !== Math.sign(v.y)) v.y = -v.y * restitution;
+};
+
+/**
+ * Pointer velocity from the samples of the last `windowMs` milliseconds.
+ * @param {number} [windowMs]
+ */
+export function createVelocityTracker(windowMs = INERTIA.sampleMs) {
+  let samples = [];
+
+  return {
+    reset() {
+      samples = [];
+    },
+    push(x, y) {
+      const t = getClock().now();
+
+      samples.push({ t, x, y });
+      samples = samples.filter((s) => t - s.t <= windowMs);
+    },
+    /** Velocity in px/s over the last `windowMs` ({0,0} with fewer than two recent samples). */
+    velocity() {
+      const now = getClock().now();
+      const recent = samples.filter((s) => now - s.t <= windowMs);
+      const first = recent[0];
+      const last = recent.at(-1);
+      const dt = recent.length > 1 ? (last.t - first.t) / 1000 : 0;
+
+      return dt > 0 ? { x: (last.x - first.x) / dt, y: (last.y - first.y) / dt } : { x: 0, y: 0 };
+    },
+  };
+}
+
+export function installInertia(cls) {
+  Object.assign(cls.prototype, {
+    startInertia(node, vx, vy) {
+      const { friction, restitution, minSpeed, maxSpeed } = INERTIA;
+      const speed = Math.hypot(vx, vy);
+
+      if (!this.dragInertia || speed < minSpeed) return null;
+
+      const clock = getClock();
+      const cap = Math.min(1, maxSpeed / speed);
+      const v = { x: vx * cap, y: vy * cap };
+      let last = clock.now();
+      let rafId = null;
+      let resolveFn;
+
+      const handle = {
+        el: node,
+        velocity: v,
+        promise: new Promise((resolve) => {
+          resolveFn = resolve;
+        }),
+        cancel() {
+          if (rafId != null) clock.cancelFrame(rafId);
+
+          rafId = null;
+          releaseTranslate(node, handle);
+          resolveFn();
+        },
+      };
+
+      const step = (now) => {
+        const dt = Math.max(0, now - last) / 1000;
+        const decay = Math.exp(-friction * dt);
+
+        last = now;
+        v.x *= decay;
+        v.y *= decay;
+
+        incTranslate(node, v.x * dt, v.y * dt);
+
+        const hit = this.resolveCollisions(node);
+
+        reflect(v, hit.dx, hit.dy, restitution);
+        this.bounceOffBounds(node, v, restitution);
+        this.updateTrail();
+
+        if (Math.hypot(v.x, v.y) < minSpeed) {
+          handle.cancel();
+          return;
+        }
+
+        rafId = clock.requestFrame(step);
+      };
+
+      claimTranslate(node, handle);
+      rafId = clock.requestFrame(step);
+
+      return handle;
+    },
+    /** Push the group back inside the safe area and reflect (damped) the velocity on the hit axis. */
+    bounceOffBounds(node, v, restitution) {
+      const { dx, dy } = this.boundsOverflow(node);
+
+      if (!dx && !dy) return;
+
+      incTranslate(node, dx, dy);
+      reflect(v, dx, dy, restitution);
+    },
+  });
+}
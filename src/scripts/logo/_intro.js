@@ -0,0 +1,98 @@
+/*
+==============================================================================
+ Module: _intro.js
+ Role: Intro playback policy: skip gesture and first-visit memory.
+ Exports: installIntro(mixinTarget)
+ Methods:
+   - introScript() → pose script to play (full, or short after the first visit)
+   - attachIntroSkip() / detachIntroSkip() → tap / click on the logo, or
+     Escape, skips
+   - skipIntro() → stop the intro; runPreloader jumps to the anchors
+   - snapToAnchors() → place groups at their anchors without animation
+   - readIntroSeen() / writeIntroSeen() → localStorage (fails silently)
+ Configuration (read from <body> in the constructor):
+   - data-logo-intro="always" (default) | "first-visit" | "short"
+   - data-logo-intro-skip="false" disables the skip gesture.
+ Notes:
+   - A skip lands in the same state as the reduced-motion branch; events of
+     steps that did not play (e.g. logo:midway) are still dispatched once,
+     when the intro ends (flushStepEvents), so content waiting on them loads.
+   - The seen flag is written when the intro ends, skipped or not.
+   - Pointer skips are scoped to the instance's own <svg>, so a tap on one
+     logo leaves the intro of other logos on the page running. Escape stays
+     document-wide on purpose: it has no target, and stopping every intro
+     is what a visitor asking for less motion expects.
+==============================================================================
+*/
+import { INTRO } from './_constants.js';
+
+export function installIntro(cls) {
+  Object.assign(cls.prototype, {
+    readIntroSeen() {
+      try {
+        return localStorage.getItem(INTRO.storageKey) === 'true';
+      } catch {
+        return false;
+      }
+    },
+    writeIntroSeen() {
+      try {
+        localStorage.setItem(INTRO.storageKey, 'true');
+      } catch {}
+    },
+    /** Whether this load plays the short intro (final anchors step only). */
+    wantsShortIntro() {
+      if (this.introMode === 'short') return true;
+
+      return this.introMode === 'first-visit' && this.readIntroSeen();
+    },
+    /** Pose script for this load: the configured one, or its last (anchors) step sped up. */
+    introScript(script = this.choreography) {
+      if (!this.wantsShortIntro()) return script;
+
+      const last = script.steps.at(-1);
+
+      return {
+        ...script,
+        steps: [{ ...last, dur: INTRO.shortDur, ease: INTRO.shortEase, hold: 0, reveal: 0, event: undefined }],
+      };
+    },
+    /** Listen for tap / click on this logo, and Escape anywhere, while the intro plays. */
+    attachIntroSkip() {
+      if (!this.introSkippable || this.introSkipHandlers) return;
+
+      const surface = this.svg ?? document;
+      const onPointer = () => this.skipIntro();
+      const onKey = (e) => {
+        if (e.key === 'Escape') this.skipIntro();
+      };
+
+      surface.addEventListener('pointerdown', onPointer);
+      document.addEventListener('keydown', onKey);
+
+      this.introSkipHandlers = { surface, onPointer, onKey };
+    },
+    detachIntroSkip() {
+      const h = this.introSkipHandlers;
+
+      if (!h) return;
+
+      h.surface.removeEventListener('pointerdown', h.onPointer);
+      document.removeEventListener('keydown', h.onKey);
+
+      this.introSkipHandlers = null;
+    },
+    /** Stop the running intro; runPreloader finishes in the anchored state. */
+    skipIntro() {
+      if (this.introSkipped) return;
+
+      this.introSkipped = true;
+      this.detachIntroSkip();
+      this.preloaderTimeline?.kill();
+    },
+    /** Move every group onto its anchor immediately (reduced motion / skipped intro). */
+    snapToAnchors() {
+      this.moveGroupsTo(this.anchorTargetsPx());
+    },
+  });
+}
@@ -0,0 +1,144 @@
+/*
+==============================================================================
+ Module: _keyboard.js
+ Role: Keyboard alternative to pointer dragging: focusable groups nudged
+       with the arrow keys, position announced to screen readers.
+ Exports: installKeyboard(mixinTarget)
+ Methods:
+   - setupKeyboard(node, index) → { enable, disable } (driven by setupDrag's
+     registry entry, so keyboard follows the same opt-in as the pointer)
+   - nudgeGroup(node, dx, dy) / returnToAnchor(node)
+   - announce(text) → writes to a visually hidden aria-live region
+ Keys: Arrow (KEYBOARD.step px), Shift+Arrow (KEYBOARD.bigStep px), Home
+   (back to the anchor position).
+ Notes:
+   - Moves go through the drag path: setTranslate → resolveCollisions →
+     clampGroupBox → updateTrail. Each nudge is a complete drag: drag-start,
+     drag-move and drag-end fire in order with the _drag.js payload.
+   - The focus ring is styled in _logo.css (:focus-visible).
+==============================================================================
+*/
+import { cancelTranslate, getTranslate, setTranslate } from './_animation-engine.js';
+import { KEYBOARD, LOGO_EVENTS } from './_constants.js';
+
+const ARROWS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+const A11Y_ATTRS = ['tabindex', 'role', 'aria-roledescription', 'aria-label'];
+
+const SR_ONLY = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+};
+
+export function installKeyboard(cls) {
+  Object.assign(cls.prototype, {
+    setupKeyboard(node, index) {
+      const onKeydown = (e) => {
+        if (e.key === 'Home') {
+          e.preventDefault();
+          this.returnToAnchor(node);
+          return;
+        }
+
+        const dir = ARROWS[e.key];
+
+        if (!dir) return;
+
+        const step = e.shiftKey ? KEYBOARD.bigStep : KEYBOARD.step;
+
+        e.preventDefault();
+        this.nudgeGroup(node, dir[0] * step, dir[1] * step);
+      };
+
+      const enable = () => {
+        node.setAttribute('tabindex', '0');
+        node.setAttribute('role', 'button');
+        node.setAttribute('aria-roledescription', 'draggable');
+        node.setAttribute('aria-label', `Logo part ${index + 1}, move with the arrow keys, Home to reset`);
+        node.addEventListener('keydown', onKeydown);
+      };
+
+      // Temporary disables (intro, layout tweens) keep the group focusable so focus is not lost
+      const disable = () => {
+        node.removeEventListener('keydown', onKeydown);
+
+        if (this.dragOptIn) return;
+
+        for (const name of A11Y_ATTRS) node.removeAttribute(name);
+      };
+
+      return { enable, disable };
+    },
+    /** Move a group by (dx, dy) px like a pointer drag step, then announce where it is. */
+    nudgeGroup(node, dx, dy) {
+      this.beginKeyboardMove(node);
+
+      const t = getTranslate(node);
+
+      setTranslate(node, t.x + dx, t.y + dy);
+      this.settleKeyboardMove(node);
+    },
+    returnToAnchor(node) {
+      const anchor = this.anchorTargetsPx()[node.id];
+
+      if (!anchor) return;
+
+      this.beginKeyboardMove(node);
+
+      const { dx, dy } = this.deltaTo(node, node, anchor);
+      const t = getTranslate(node);
+
+      setTranslate(node, t.x + dx, t.y + dy);
+      this.settleKeyboardMove(node);
+    },
+    beginKeyboardMove(node) {
+      // Stop a glide / snap on this group, as grabbing it would
+      cancelTranslate(node);
+      this.cancelSnap(node);
+      this.emitDrag(LOGO_EVENTS.dragStart, node);
+    },
+    settleKeyboardMove(node) {
+      this.resolveCollisions(node);
+      this.clampGroupBox(node);
+      this.updateTrail();
+      this.emitDrag(LOGO_EVENTS.dragMove, node);
+      this.emitDrag(LOGO_EVENTS.dragEnd, node);
+      this.announcePosition(node);
+      this.autosaveArrangement();
+    },
+    announcePosition(node) {
+      const r = this.svgRect();
+      const c = this.centerOf(node);
+      const pct = (v, from, size) => Math.round(((v - from) / (size || 1)) * 100);
+      const index = this.groups.findIndex((g) => g.node === node);
+
+      this.announce(
+        `Logo part ${index + 1}: ${pct(c.x, r.left, r.width)}% from left, ${pct(c.y, r.top, r.height)}% from top`
+      );
+    },
+    /** Polite aria-live announcement (the region is created next to the SVG on first use). */
+    announce(text) {
+      if (!this.liveRegion) {
+        const el = document.createElement('div');
+
+        el.setAttribute('aria-live', 'polite');
+        el.setAttribute('aria-atomic', 'true');
+        el.setAttribute('data-logo-live', '');
+        Object.assign(el.style, SR_ONLY);
+        this.svg.after(el);
+        this.liveRegion = el;
+      }
+
+      this.liveRegion.textContent = text;
+    },
+    removeLiveRegion() {
+      this.liveRegion?.remove();
+      this.liveRegion = null;
+    },
+  });
+}
@@ -11,29 +11,44 @@
    - Compact mode toggle (scale 1 ↔ 0.5) is invoked here without animation
      on breakpoint transitions unless explicitly enabled.
  Implementation Notes:
-   - Resize handler debounced with rAF to avoid layout thrash.
-   - repositionGroupsToAnchors uses immediate translate deltas (no tween)
+   - data-logo-breakpoint-animate="true" (or the breakpointAnimate option)
+     turns a breakpoint crossing into one coordinated scale + move tween.
+   - Resize handler debounced with rAF to avoid layout thrash; detachResize()
+     removes the listeners and cancels pending frames (used by destroy()).
+   - moveGroupsTo(targets) places every group (any count, keyed by id);
+     repositionGroupsToAnchors uses immediate translate deltas (no tween)
      for deterministic post-resize layout.
+   - While the intro plays, followViewport() re-targets its tweens instead,
+     so a rotation mid-intro still ends on the new anchors.
 =============================================================================
 */
 import { incTranslate } from './_animation-engine.js';
+import { LOGO_EVENTS } from './_constants.js';
 
 export function installLayout(cls) {
   Object.assign(cls.prototype, {
-    repositionGroupsToAnchors() {
-      const t = this.anchorTargetsPx();
-      const keys = ['v1', 'v2', 'v3'];
+    /** Move each group's center onto its target (keyed by group id) at once, clamped; skips groups without one. */
+    moveGroupsTo(targets) {
+      for (const { node } of this.groups) {
+        const target = targets[node.id];
 
-      this.groups.forEach((g, idx) => {
-        const [tx, ty] = t[keys[idx]];
-        const c = this.centerOf(g.node);
+        if (!target) continue;
 
-        incTranslate(g.node, tx - c.x, ty - c.y);
-        this.clampGroupBox(g.node);
-      });
+        const c = this.centerOf(node);
+
+        incTranslate(node, target[0] - c.x, target[1] - c.y);
+        this.clampGroupBox(node);
+      }
 
       this.updateTrail();
     },
+    repositionGroupsToAnchors() {
+      this.moveGroupsTo(this.anchorTargetsPx());
+    },
+    /** After a resize: re-target a running intro, otherwise jump to the new anchors. */
+    followViewport() {
+      if (!this.retargetPreloader()) this.repositionGroupsToAnchors();
+    },
     syncViewBoxToPixels() {
       const w = Math.max(1, Math.round(window.innerWidth));
       const h = Math.max(1, Math.round(window.innerHeight));
@@ -63,58 +78,111 @@ export function installLayout(cls) {
       this.applyTrailStrokeWidth();
       this.updateTrail();
     },
+    /** Announce that a resize (and any breakpoint transition) has been handled. */
+    emitResizeSettled() {
+      this.emit(LOGO_EVENTS.resizeSettled, {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        mode: this.currentLayoutMode,
+      });
+    },
+    /**
+     * Breakpoint crossed: auto-toggle compact mode and move to the new anchors.
+     * With data-logo-breakpoint-animate="true" (and motion allowed) scale and
+     * move run as one tween (animateLayoutTransition); otherwise the scale
+     * switches at once and the groups jump.
+     * @param {'desktop'|'mobile'} to
+     */
+    crossBreakpoint(to) {
+      const from = this.currentLayoutMode;
+      const wantCompact = to === 'mobile';
+      const announce = () => {
+        this.currentLayoutMode = to;
+        this.emit(LOGO_EVENTS.breakpoint, { from, to });
+      };
+
+      if (this.animateBreakpointTransitions && !this.prefersReducedMotion()) {
+        announce();
+        this.animateLayoutTransition(wantCompact).then(() => {
+          if (!this.destroyed) this.emitResizeSettled();
+        });
+        return;
+      }
+
+      const proceed = () => {
+        announce();
+        this.followViewport();
+        this.emitResizeSettled();
+      };
+
+      // Apply immediate (non-animated) scale for coherent reposition
+      if (wantCompact !== this.logoCompact) this.compactForBreakpoint(wantCompact).then(proceed);
+      else proceed();
+    },
     attachResize() {
       // Reusable resize handler (debounced via rAF)
       const handleResize = () => {
         this.resizeRaf && cancelAnimationFrame(this.resizeRaf);
 
         this.resizeRaf = requestAnimationFrame(() => {
+          this.resizeRaf = 0;
           this.syncViewBoxToPixels();
+          this.syncFluidScale();
 
           const newLayoutMode = this.isMobile() ? 'mobile' : 'desktop';
           const crossed = this.currentLayoutMode !== newLayoutMode;
 
           if (crossed) {
-            // Auto-toggle compact mode based on new breakpoint
-            const wantCompact = newLayoutMode === 'mobile';
-
-            const proceed = () => {
-              if (this.animateBreakpointTransitions) {
-                this.animateLayoutTransition(newLayoutMode);
-              } else {
-                this.repositionGroupsToAnchors();
-              }
-              this.currentLayoutMode = newLayoutMode;
-            };
-
-            if (wantCompact !== this.logoCompact) {
-              // Apply immediate (non-animated) scale for coherent reposition
-              this.setLogoCompact(wantCompact, { animate: false }).then(proceed);
-            } else {
-              proceed();
-            }
+            this.crossBreakpoint(newLayoutMode);
           } else {
-            this.repositionGroupsToAnchors();
+            this.followViewport();
+            this.emitResizeSettled();
           }
         });
       };
 
-      // Standard resize
-      window.addEventListener('resize', handleResize);
-
       // Orientation changes on mobile may happen before the layout is fully
       // settled; run the same handler but give the UA a couple frames to
       // stabilize so view sizes (and getBoundingClientRect) are reliable.
-      window.addEventListener('orientationchange', () => {
+      const handleOrientation = () => {
         // Run after two frames to allow orientation/layout to stabilize
-        requestAnimationFrame(() => requestAnimationFrame(handleResize));
-      });
+        cancelAnimationFrame(this.orientationRaf);
+        this.orientationRaf = requestAnimationFrame(() => {
+          this.orientationRaf = requestAnimationFrame(handleResize);
+        });
+      };
+
+      this.detachResize();
+
+      // Standard resize
+      window.addEventListener('resize', handleResize);
+      window.addEventListener('orientationchange', handleOrientation);
 
       // visualViewport resize is helpful on mobile when on-screen keyboard or
       // browser chrome changes size; prefer it when available.
-      if (window.visualViewport && typeof window.visualViewport.addEventListener === 'function') {
-        window.visualViewport.addEventListener('resize', handleResize);
-      }
+      const vv = window.visualViewport;
+      const useVisualViewport = vv && typeof vv.addEventListener === 'function';
+
+      if (useVisualViewport) vv.addEventListener('resize', handleResize);
+
+      this.resizeListeners = { handleResize, handleOrientation, vv: useVisualViewport ? vv : null };
+    },
+    /** Remove the listeners installed by attachResize() and cancel pending frames. */
+    detachResize() {
+      const l = this.resizeListeners;
+
+      cancelAnimationFrame(this.resizeRaf);
+      cancelAnimationFrame(this.orientationRaf);
+      this.resizeRaf = 0;
+      this.orientationRaf = 0;
+
+      if (!l) return;
+
+      window.removeEventListener('resize', l.handleResize);
+      window.removeEventListener('orientationchange', l.handleOrientation);
+      l.vv?.removeEventListener('resize', l.handleResize);
+
+      this.resizeListeners = null;
     },
   });
 }
@@ -0,0 +1,78 @@
+/*
+==============================================================================
+ Module: _palette.js
+ Role: Theme-aware trail gradients. Gradient stops read their colors from
+       CSS custom properties, so the palette follows the color scheme and
+       named palettes without touching the SVG markup.
+ Exports: installPalette(mixinTarget), stopVar(index, fallback)
+ Methods:
+   - bindTrailPalette() → point every gradient stop at its palette variable
+   - setTrailPalette(name) → switch named palette (null = scheme default)
+   - attachPalette() / detachPalette() → repaint on color scheme changes
+ Notes:
+   - Segment i blends --neeeda--trail--stop-(i+1) → --neeeda--trail--stop-(i+2);
+     the stop-color from the markup stays as var() fallback (extra groups
+     beyond the palette keep their cloned colors).
+   - Variables are defined per scheme in _color-scheme.css, named palettes
+     in _logo.css ([data-logo-palette='ocean'] …).
+   - ColorSchemeController fires PALETTE.themeEvent on toggle; stops are
+     re-bound then, because some engines cache gradient paint servers and
+     miss custom property changes coming from :has().
+==============================================================================
+*/
+import { PALETTE } from './_constants.js';
+
+/** CSS value for palette stop `index` (1-based), falling back to the markup color. */
+export const stopVar = (index, fallback) => `var(${PALETTE.varPrefix}${index}${fallback ? `, ${fallback}` : ''})`;
+
+export function installPalette(cls) {
+  Object.assign(cls.prototype, {
+    bindTrailPalette() {
+      this.trails.forEach(({ gradient }, i) => {
+        const stops = gradient ? [...gradient.querySelectorAll('stop')] : [];
+
+        if (stops.length < 2) return;
+
+        const ends = [
+          [stops[0], i + 1],
+          [stops.at(-1), i + 2],
+        ];
+
+        for (const [stop, index] of ends) {
+          stop.style.removeProperty('stop-color');
+          stop.style.setProperty('stop-color', stopVar(index, stop.getAttribute('stop-color')));
+        }
+      });
+    },
+    /**
+     * Switch to a named palette (PALETTE.names) for this logo; null / 'default'
+     * drops the override. Unknown names are ignored with a warning.
+     * @param {string|null} name
+     */
+    setTrailPalette(name) {
+      if (name != null && name !== 'default' && !PALETTE.names.includes(name)) {
+        console.warn(`[neeeda-logo] Unknown trail palette "${name}"`);
+        return;
+      }
+
+      this.trailPalette = name ?? null;
+
+      if (!this.trailPalette || this.trailPalette === 'default') this.svg?.removeAttribute('data-logo-palette');
+      else this.svg?.setAttribute('data-logo-palette', this.trailPalette);
+
+      this.bindTrailPalette();
+    },
+    attachPalette() {
+      if (this.paletteHandler) return;
+
+      this.paletteHandler = () => this.bindTrailPalette();
+      document.addEventListener(PALETTE.themeEvent, this.paletteHandler);
+    },
+    detachPalette() {
+      if (!this.paletteHandler) return;
+
+      document.removeEventListener(PALETTE.themeEvent, this.paletteHandler);
+      this.paletteHandler = null;
+    },
+  });
+}
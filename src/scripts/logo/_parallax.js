@@ -0,0 +1,175 @@
+/*
+==============================================================================
+ Module: _parallax.js
+ Role: Subtle depth effect: the groups follow the cursor (desktop) or the
+       device tilt (mobile, where permitted), each scaled by its own depth.
+ Exports: installParallax(mixinTarget), pointerInput(x, y, w, h),
+          tiltInput(beta, gamma)
+ Methods:
+   - setParallax(on) → switch at runtime (off resets the offsets)
+   - enableOrientationParallax() → ask for motion permission (iOS; call
+     from a user gesture), then listen to deviceorientation
+   - attachParallax() / detachParallax()
+ Notes:
+   - Offsets go to the CSS `translate` property, which composes with the
+     engine's `transform: translate() scale()`: getTranslate() and the
+     translate store used by drag / tweens never see them. The current
+     offsets are kept in parallaxOffsets so layoutRect() / centerOf()
+     (_geometry.js) can measure the groups without them.
+   - Input is normalized to [-1, 1] per axis and eased towards on the
+     pluggable clock; the loop stops once the offsets settle.
+   - Applies only after the intro (loader-done); groups being dragged keep
+     their offset. Off under prefers-reduced-motion (live).
+==============================================================================
+*/
+import { getClock } from './_clock.js';
+import { PARALLAX } from './_constants.js';
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+const clamp1 = (v) => Math.max(-1, Math.min(1, v));
+
+/** Cursor position → [-1, 1] per axis from the viewport center. */
+export const pointerInput = (x, y, width, height) => ({
+  x: clamp1((x / Math.max(1, width)) * 2 - 1),
+  y: clamp1((y / Math.max(1, height)) * 2 - 1),
+});
+
+/** deviceorientation angles (degrees) → [-1, 1] per axis around the resting hold. */
+export const tiltInput = (beta, gamma) => ({
+  x: clamp1((gamma ?? 0) / PARALLAX.tiltRange),
+  y: clamp1(((beta ?? PARALLAX.restBeta) - PARALLAX.restBeta) / PARALLAX.tiltRange),
+});
+
+export function installParallax(cls) {
+  Object.assign(cls.prototype, {
+    /** Depth factor of group `index` (data-logo-parallax-depths, else PARALLAX.depths; last one repeats). */
+    parallaxDepth(index) {
+      const depths = this.parallaxDepths?.length ? this.parallaxDepths : PARALLAX.depths;
+
+      return depths[Math.min(index, depths.length - 1)];
+    },
+    setParallaxTarget(input) {
+      this.parallaxTarget = input;
+      this.requestParallaxFrame();
+    },
+    requestParallaxFrame() {
+      if (this.parallaxRaf != null) return;
+
+      this.parallaxRaf = getClock().requestFrame(() => {
+        this.parallaxRaf = null;
+        this.stepParallax();
+      });
+    },
+    /** Ease the current input towards the target and write the per-group offsets. */
+    stepParallax() {
+      if (!this.stateEl?.classList.contains('loader-done')) return;
+
+      const cur = this.parallaxInput;
+      const { x, y } = this.parallaxTarget;
+
+      cur.x += (x - cur.x) * PARALLAX.smoothing;
+      cur.y += (y - cur.y) * PARALLAX.smoothing;
+
+      const settled = Math.abs(x - cur.x) < 1e-3 && Math.abs(y - cur.y) < 1e-3;
+
+      if (settled) Object.assign(cur, this.parallaxTarget);
+
+      this.applyParallax(cur);
+
+      if (!settled) this.requestParallaxFrame();
+    },
+    applyParallax({ x, y }) {
+      const dragged = new Set([...this.dragPointers.values()].map((s) => s.node));
+
+      this.groups.forEach(({ node }, i) => {
+        if (dragged.has(node)) return;
+
+        const k = PARALLAX.maxOffset * this.parallaxDepth(i);
+        const ox = Number((x * k).toFixed(2));
+        const oy = Number((y * k).toFixed(2));
+
+        node.style.setProperty('translate', `${ox.toFixed(2)}px ${oy.toFixed(2)}px`);
+        this.parallaxOffsets.set(node, { x: ox, y: oy });
+      });
+
+      this.updateTrail();
+    },
+    resetParallax() {
+      if (this.parallaxRaf != null) getClock().cancelFrame(this.parallaxRaf);
+
+      this.parallaxRaf = null;
+      this.parallaxInput = { x: 0, y: 0 };
+      this.parallaxTarget = { x: 0, y: 0 };
+
+      for (const { node } of this.groups) node.style.removeProperty('translate');
+
+      this.parallaxOffsets.clear();
+
+      this.updateTrail();
+    },
+    setParallax(on) {
+      this.parallaxOn = !!on;
+
+      if (this.parallaxOn) this.attachParallax();
+      else this.detachParallax();
+    },
+    attachParallax() {
+      if (this.parallaxListeners || !this.parallaxOn) return;
+
+      const query = window.matchMedia?.(REDUCED_MOTION);
+      const onPointer = (e) => {
+        if (e.pointerType !== 'mouse' || this.prefersReducedMotion()) return;
+
+        this.setParallaxTarget(pointerInput(e.clientX, e.clientY, window.innerWidth, window.innerHeight));
+      };
+      const onOrientation = (e) => {
+        if (!this.prefersReducedMotion()) this.setParallaxTarget(tiltInput(e.beta, e.gamma));
+      };
+      const onMotionPref = () => this.prefersReducedMotion() && this.resetParallax();
+
+      window.addEventListener('pointermove', onPointer, { passive: true });
+      query?.addEventListener?.('change', onMotionPref);
+
+      // Without a permission gate (Android, desktop) tilt works right away
+      if (typeof DeviceOrientationEvent !== 'undefined' && !DeviceOrientationEvent.requestPermission) {
+        window.addEventListener('deviceorientation', onOrientation);
+      }
+
+      this.parallaxOrientationHandler = onOrientation;
+      this.parallaxListeners = () => {
+        window.removeEventListener('pointermove', onPointer);
+        window.removeEventListener('deviceorientation', onOrientation);
+        query?.removeEventListener?.('change', onMotionPref);
+      };
+    },
+    detachParallax() {
+      if (!this.parallaxListeners) return;
+
+      this.parallaxListeners();
+      this.parallaxListeners = null;
+      this.parallaxOrientationHandler = null;
+      this.resetParallax();
+    },
+    /**
+     * iOS gates deviceorientation behind a permission prompt that must come
+     * from a user gesture (e.g. a tap handler). Resolves whether tilt is on.
+     * @returns {Promise<boolean>}
+     */
+    async enableOrientationParallax() {
+      if (!this.parallaxOrientationHandler || typeof DeviceOrientationEvent === 'undefined') return false;
+
+      try {
+        const state = await DeviceOrientationEvent.requestPermission?.();
+
+        if (state !== undefined && state !== 'granted') return false;
+      } catch {
+        return false;
+      }
+
+      window.addEventListener('deviceorientation', this.parallaxOrientationHandler);
+
+      return true;
+    },
+  });
+}
@@ -2,25 +2,50 @@
 ==============================================================================
  Module: _scale.js
  Role: Provides group scaling utilities preserving visual centers and the
-        animated transition between scale 1 and 0.5.
- Exports: installScale(mixinTarget)
+        animated transition between scales (1 ↔ 0.5, or any fluid value).
+ Exports: installScale(mixinTarget), fluidScale(width)
  Methods installed on prototype:
+   - targetGroupScale() → scale for the current mode / compact flag
    - applyGroupScaleTransform()
    - animateGroupScaleTransform(targetScale, { duration, easing })
+   - animateGroupTransition(targetScale, targetsAt, { duration, easing })
+     → scale + move to targets (+ trail width) as one tween
  Implementation notes:
    - Center-stability achieved by measuring boundingClientRect pre/post and
-     compensating via translate delta.
-   - Animation uses requestAnimationFrame and easing function (power3InOut by default).
+     compensating via translate delta (written with setTranslate so the
+     engine's translate store stays in sync).
+   - data-logo-scale="fluid": the scale follows the viewport width between
+     the GROUP_SCALE endpoints, like RadialBox.updateRadialScale().
+   - Animation runs on the pluggable clock (_clock.js: rAF at runtime, manual
+     stepping in tests) with an easing function (power3InOut by default).
 ==============================================================================
 */
-import { Easing } from './_animation-engine.js';
+import { claimTranslate, Easing, getTranslate, releaseTranslate, setTranslate } from './_animation-engine.js';
+import { getClock } from './_clock.js';
+import { GROUP_SCALE } from './_constants.js';
+
+/**
+ * Fluid group scale for a viewport width: minScale up to minWidth, maxScale
+ * from maxWidth (the desktop breakpoint), linear in between.
+ * @param {number} width
+ */
+export function fluidScale(width) {
+  const { minScale, maxScale, minWidth, maxWidth } = GROUP_SCALE;
+  const r = Math.max(0, Math.min(1, (width - minWidth) / (maxWidth - minWidth)));
+
+  return Math.round((minScale + (maxScale - minScale) * r) * 1000) / 1000;
+}
 
 export function installScale(cls) {
   Object.assign(cls.prototype, {
-    /** Apply immediate scale (1 or 0.5) preserving each group's visual center. */
-    applyGroupScaleTransform() {
-      const newScale = this.logoCompact ? 0.5 : 1;
+    /** Fluid mode: scale for the viewport width; otherwise the compact / full endpoint. */
+    targetGroupScale() {
+      if (this.scaleMode === 'fluid') return fluidScale(window.innerWidth);
 
+      return this.logoCompact ? GROUP_SCALE.minScale : GROUP_SCALE.maxScale;
+    },
+    /** Apply an immediate scale (default: targetGroupScale()) preserving each group's visual center. */
+    applyGroupScaleTransform(newScale = this.targetGroupScale()) {
       if (this.currentGroupScale === newScale) return; // no-op
 
       for (const { node } of this.groups) this._applyImmediateScaleToNode(node, newScale);
@@ -39,7 +64,7 @@ export function installScale(cls) {
       const dx = old.cx - neu.cx;
       const dy = old.cy - neu.cy;
 
-      if (dx || dy) node.style.transform = `translate(${tx + dx}px, ${ty + dy}px) scale(${newScale})`;
+      if (dx || dy) setTranslate(node, tx + dx, ty + dy);
     },
     _parseTranslate(style) {
       const m = /translate\(([-0-9.]+)px,\s*([-0-9.]+)px\)/.exec(style || '');
@@ -66,7 +91,8 @@ export function installScale(cls) {
 
       if (Math.abs(startScale - targetScale) < 0.0001) return Promise.resolve();
 
-      const start = performance.now();
+      const clock = getClock();
+      const start = clock.now();
 
       const groupsMeta = this.groups.map(({ node }) => {
         if (!node) return null;
@@ -107,7 +133,7 @@ export function installScale(cls) {
           for (const meta of groupsMeta) this._applyAnimatedScaleFrame(meta, s);
 
           if (t < 1) {
-            anim.rafId = requestAnimationFrame(step);
+            anim.rafId = clock.requestFrame(step);
             return;
           }
 
@@ -119,7 +145,7 @@ export function installScale(cls) {
           resolve();
         };
 
-        anim.rafId = requestAnimationFrame(step);
+        anim.rafId = clock.requestFrame(step);
       });
 
       // store animation handle for cancellation
@@ -130,7 +156,7 @@ export function installScale(cls) {
 
           anim.cancelled = true;
 
-          if (anim.rafId != null) cancelAnimationFrame(anim.rafId);
+          if (anim.rafId != null) clock.cancelFrame(anim.rafId);
 
           // resolve the previous promise if not settled
           if (typeof resolveFn === 'function') resolveFn();
@@ -141,6 +167,113 @@ export function installScale(cls) {
       };
       return promise;
     },
+    /**
+     * Scale and move the groups in one tween (breakpoint transitions).
+     * `targetsAt()` runs with `targetScale` applied, since anchor layouts
+     * depend on the group sizes; the end translates are measured there, the
+     * start state restored, then scale, translate and trail width are
+     * interpolated together. The tween owns the groups in the translate
+     * registry: a drag or another tween interrupts it (resolves early); the
+     * groups then keep their translate but snap to `targetScale` (and the
+     * trail to its width), so no in-between scale is left behind.
+     * @param {number} targetScale
+     * @param {() => Record<string, [number, number]>} targetsAt group id → center (px)
+     * @param {{duration?:number, easing?:(t:number)=>number}} [options] duration in ms
+     * @returns {Promise<void>}
+     */
+    animateGroupTransition(targetScale, targetsAt, { duration = 800, easing = Easing.power2InOut } = {}) {
+      this._scaleAnim?.cancel?.();
+
+      const from = this.currentGroupScale;
+      const moves = this._measureTransition(targetScale, targetsAt);
+      const clock = getClock();
+      const start = clock.now();
+      let rafId = null;
+      let resolveFn;
+
+      const frame = (k) => {
+        const s = from + (targetScale - from) * k;
+
+        for (const m of moves) {
+          m.node.style.transform = `translate(${m.x}px, ${m.y}px) scale(${s})`;
+          setTranslate(m.node, m.x + (m.toX - m.x) * k, m.y + (m.toY - m.y) * k);
+        }
+
+        this.currentGroupScale = s;
+        this.applyTrailStrokeWidth?.(s);
+        this.updateTrail?.();
+      };
+
+      let settled = false;
+      const settle = (interrupted) => {
+        if (settled) return;
+
+        settled = true;
+
+        if (rafId != null) clock.cancelFrame(rafId);
+
+        rafId = null;
+
+        for (const { node } of moves) releaseTranslate(node, handle);
+
+        if (interrupted) this._snapTransitionScale(targetScale);
+        if (this._scaleAnim === handle) this._scaleAnim = null;
+
+        resolveFn();
+      };
+      const handle = { cancel: () => settle(true) };
+
+      const step = (now) => {
+        const t = Math.min(1, Math.max(0, (now - start) / duration));
+
+        frame(t < 1 ? easing(t) : 1);
+
+        if (t < 1) rafId = clock.requestFrame(step);
+        else settle(false);
+      };
+
+      handle.promise = new Promise((resolve) => {
+        resolveFn = resolve;
+      });
+
+      for (const { node } of moves) claimTranslate(node, handle);
+
+      this._scaleAnim = handle;
+      rafId = clock.requestFrame(step);
+
+      return handle.promise;
+    },
+    /** Interrupted transition: jump to the target scale (center-preserving) and matching trail width. */
+    _snapTransitionScale(targetScale) {
+      for (const { node } of this.groups) this._applyImmediateScaleToNode(node, targetScale);
+
+      this.currentGroupScale = targetScale;
+      this.applyTrailStrokeWidth?.(targetScale);
+      this.updateTrail?.();
+    },
+    /** Start / end translate of every group for animateGroupTransition (DOM left as found). */
+    _measureTransition(targetScale, targetsAt) {
+      const moves = this.groups.map(({ node }) => ({ node, transform: node.style.transform, ...getTranslate(node) }));
+
+      for (const { node } of moves) this._applyImmediateScaleToNode(node, targetScale);
+
+      const targets = targetsAt();
+
+      for (const m of moves) {
+        const end = getTranslate(m.node);
+        // Parallax-free center, like the anchor targets (centerOf / layoutRect in _geometry.js)
+        const c = this.centerOf(m.node);
+        const target = targets[m.node.id];
+
+        m.toX = target ? end.x + target[0] - c.x : end.x;
+        m.toY = target ? end.y + target[1] - c.y : end.y;
+
+        m.node.style.transform = m.transform;
+        setTranslate(m.node, m.x, m.y);
+      }
+
+      return moves;
+    },
     _applyAnimatedScaleFrame(meta, s) {
       if (!meta || !meta.node) return;
 
@@ -152,7 +285,7 @@ export function installScale(cls) {
       const dx = old.cx - neu.cx;
       const dy = old.cy - neu.cy;
 
-      if (dx || dy) node.style.transform = `translate(${tx + dx}px, ${ty + dy}px) scale(${s})`;
+      if (dx || dy) setTranslate(node, tx + dx, ty + dy);
     },
   });
 }
@@ -0,0 +1,97 @@
+/*
+==============================================================================
+ Module: _snap.js
+ Role: Snap-back / magnetic anchors for dropped groups, so a drag does not
+       leave the logo scattered until the next resize.
+ Exports: installSnap(mixinTarget)
+ Methods:
+   - snapTargetsPx(key) → candidate centers for one group (anchor, POSE3, POSE4)
+   - nearestSnapTarget(node) → closest candidate within SNAP.radius, or null
+   - scheduleSnap(node, settled) → once the drop has settled (glide finished):
+     magnet snap and/or arm the idle return timer
+   - cancelSnap(node) / cancelSnaps() → forget pending snaps (new grab, destroy)
+ Notes:
+   - Modes (data-logo-snap): off | idle | magnet | both; idle delay from
+     data-logo-snap-idle (ms). Both go through tweenTo, so grabbing the group
+     again (or a layout tween) interrupts the snap.
+   - A per-node token discards snaps scheduled before the latest grab.
+==============================================================================
+*/
+import { getClock } from './_clock.js';
+import { POSE3, POSE4, SNAP } from './_constants.js';
+
+export function installSnap(cls) {
+  Object.assign(cls.prototype, {
+    snapTargetsPx(key) {
+      return [this.anchorTargetsPx(), this.poseTargetsPx(POSE3), this.poseTargetsPx(POSE4)]
+        .map((targets) => targets[key])
+        .filter(Boolean);
+    },
+    nearestSnapTarget(node) {
+      const c = this.centerOf(node);
+      let best = null;
+      let bestDist = SNAP.radius;
+
+      for (const [x, y] of this.snapTargetsPx(node.id)) {
+        const d = Math.hypot(x - c.x, y - c.y);
+
+        if (d <= bestDist) {
+          best = [x, y];
+          bestDist = d;
+        }
+      }
+
+      return best;
+    },
+    scheduleSnap(node, settled = Promise.resolve()) {
+      if (this.snapMode === 'off') return;
+
+      const token = this.cancelSnap(node);
+
+      settled.then(() => {
+        if (this.destroyed || this.snapTokens.get(node) !== token) return;
+
+        const magnet = this.snapMode === 'magnet' || this.snapMode === 'both';
+        const target = magnet && this.nearestSnapTarget(node);
+
+        if (target) this.snapTo(node, target);
+        if (this.snapMode === 'idle' || this.snapMode === 'both') this.armIdleSnap(node);
+      });
+    },
+    /** Return `node` to its anchor after snapIdleMs without a new grab. */
+    armIdleSnap(node) {
+      const timer = getClock().setTimeout(() => {
+        this.snapTimers.delete(node);
+
+        const anchor = this.anchorTargetsPx()[node.id];
+
+        if (anchor) this.snapTo(node, anchor);
+      }, this.snapIdleMs);
+
+      this.snapTimers.set(node, timer);
+    },
+    snapTo(node, target) {
+      return this.tweenTo(node, node, target, { duration: SNAP.dur, ease: SNAP.ease }).then(() =>
+        this.autosaveArrangement()
+      );
+    },
+    /** Invalidate pending snaps for `node`; returns its new token. */
+    cancelSnap(node) {
+      const token = (this.snapTokens.get(node) ?? 0) + 1;
+
+      this.snapTokens.set(node, token);
+
+      if (this.snapTimers.has(node)) {
+        getClock().clearTimeout(this.snapTimers.get(node));
+        this.snapTimers.delete(node);
+      }
+
+      return token;
+    },
+    cancelSnaps() {
+      for (const { node } of this.groups) {
+        if (node) this.cancelSnap(node);
+      }
+    },
+  });
+}
@@ -0,0 +1,123 @@
+/*
+==============================================================================
+ Module: _teardown.js
+ Role: destroy() for the controller, so the logo can be mounted and unmounted
+       repeatedly (e.g. inside an SPA shell).
+ Exports: installTeardown(mixinTarget)
+ Methods:
+   - captureInitialState() → attribute snapshot taken in the constructor
+   - restoreInitialState() → put the SVG (and state element flags) back as captured
+   - destroy() → detach listeners, cancel frames / tweens / scale animation,
+     then restore the initial state. Safe to call more than once.
+ Notes:
+   - Attributes are snapshotted wholesale (viewBox, transform, d, x1/y1…,
+     style) so state written by any mixin is undone without a per-mixin list.
+   - Cached translates are dropped from the engine store after the styles are
+     restored, so a new instance on the same nodes starts from scratch.
+==============================================================================
+*/
+import { cancelTranslate, forgetTranslate } from './_animation-engine.js';
+
+/** Classes / attributes the controller writes on its state element (<body> by default). */
+const STATE_CLASSES = ['booted', 'logo-fade-in-start', 'logo-fade-in-active', 'logo-faded', 'loader-done'];
+const STATE_ATTRS = ['data-logo-compact', 'data-logo-drag'];
+
+const snapshotAttributes = (el) => [...el.attributes].map(({ name, value }) => [name, value]);
+
+const restoreAttributes = (el, attrs) => {
+  const keep = new Set(attrs.map(([name]) => name));
+
+  for (const { name } of [...el.attributes]) {
+    if (!keep.has(name)) el.removeAttribute(name);
+  }
+
+  for (const [name, value] of attrs) el.setAttribute(name, value);
+};
+
+export function installTeardown(cls) {
+  Object.assign(cls.prototype, {
+    /** Every element the controller writes to (SVG, logo, trails, gradients + stops, groups, cover rect). */
+    managedElements() {
+      const els = [this.svg, this.logo];
+
+      for (const { path, gradient } of this.trails) {
+        els.push(path, gradient, ...(gradient?.querySelectorAll('stop') ?? []));
+      }
+
+      // Segments in the markup beyond the last group (hidden by ensureTrailSegments)
+      els.push(...(this.svg?.querySelectorAll('[id^="seg"], [id^="grad"]') ?? []));
+
+      for (const { node, handle, label } of this.groups) els.push(node, handle, label);
+
+      els.push(this.svg?.querySelector('#cover-bg'));
+
+      return [...new Set(els.filter(Boolean))];
+    },
+    captureInitialState() {
+      const state = this.stateEl;
+
+      return {
+        elements: this.managedElements().map((el) => [el, snapshotAttributes(el)]),
+        stateClasses: STATE_CLASSES.filter((c) => state?.classList.contains(c)),
+        stateAttrs: STATE_ATTRS.map((name) => [name, state?.getAttribute(name) ?? null]),
+      };
+    },
+    restoreInitialState() {
+      const state = this.initialState;
+
+      if (!state) return;
+
+      for (const [el, attrs] of state.elements) {
+        restoreAttributes(el, attrs);
+        forgetTranslate(el);
+      }
+
+      const el = this.stateEl;
+
+      if (!el) return;
+
+      for (const c of STATE_CLASSES) el.classList.toggle(c, state.stateClasses.includes(c));
+
+      for (const [name, value] of state.stateAttrs) {
+        if (value == null) el.removeAttribute(name);
+        else el.setAttribute(name, value);
+      }
+    },
+    destroy() {
+      if (this.destroyed) return;
+
+      this.destroyed = true;
+
+      cancelAnimationFrame(this.bootRaf);
+      this.bootRaf = 0;
+
+      this.detachResize();
+      this.detachCoverBg?.();
+      this.detachIntroSkip();
+      this.detachExportShortcut();
+      this.detachPalette();
+      this.detachAmbient();
+      this.detachParallax();
+      this.teardownDrag();
+      this.cancelSnaps();
+
+      this.preloaderTimeline?.kill();
+      this.preloaderTimeline = null;
+      this._scaleAnim?.cancel?.();
+      this._scaleAnim = null;
+      this.trailDraw?.cancel();
+
+      for (const { node } of this.groups) {
+        if (node) cancelTranslate(node);
+      }
+
+      // Segments cloned for extra groups are not part of the original markup
+      for (const el of this.createdTrailEls) el.remove();
+
+      this.createdTrailEls = [];
+      this.restoreInitialState();
+      this.baseCenters.clear();
+      this.currentGroupScale = 1;
+    },
+  });
+}
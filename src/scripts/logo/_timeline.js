@@ -0,0 +1,425 @@
+/*
+=============================================================================
+ Module: _timeline.js
+ Purpose: Declarative sequencer built on top of the translate helpers in
+          _animation-engine.js. Lets the preloader (and tests) describe a
+          choreography as data and then play, pause, seek or reverse it.
+ Features:
+   - Tweens placed at absolute times, labels or relative offsets
+     ('+=0.2', '<', '>', 'label+=0.1'), optional stagger across targets.
+   - hold() gaps and call() callbacks (fired when the playhead crosses them).
+   - pause / resume / seek / reverse / timeScale (playback rate).
+   - retarget(): tweens in flight re-resolve their targets (viewport change
+     mid-play) and glide on from where they are to the new end values: the
+     ease restarts from the current translate over the tween's remaining
+     time (seeking back past that point holds there).
+ Design:
+   - Tween start values and targets are resolved lazily the first time the
+     playhead enters the tween, so a step can depend on where the previous
+     one left the groups (percent → px conversion at step start).
+   - Items are rendered in start order when moving forward and in reverse
+     order when moving backward, so seeking restores earlier states last.
+   - Items whose local progress did not change are skipped; finished tweens
+     never overwrite a later tween on the same node.
+   - In-flight tweens register in the engine's translate registry: a tween
+     started elsewhere on the same node (e.g. animateLayoutTransition)
+     interrupts the timeline tween, which then stops writing to that node.
+=============================================================================
+*/
+import {
+  activeTranslate,
+  claimTranslate,
+  easingByName,
+  getTranslate,
+  releaseTranslate,
+  setTranslate,
+} from './_animation-engine.js';
+import { getClock } from './_clock.js';
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+/** Own the node while a tween is in flight so a tween started elsewhere interrupts it. */
+const syncOwnership = (item, p) => {
+  if (p <= 0 || p >= 1) releaseTranslate(item.el, item);
+  else if (activeTranslate(item.el) !== item) claimTranslate(item.el, item);
+};
+
+/** Resolve a tween value that may be given as a number or as `(el, index) => number`. */
+const resolveValue = (v, el, index) => (typeof v === 'function' ? v(el, index) : v);
+
+/** Absolute end values of a tween from `x`/`y`, or `dx`/`dy` relative to translate `t`. */
+const resolveEnd = (vars, el, index, t) => {
+  const dx = resolveValue(vars.dx, el, index) ?? 0;
+  const dy = resolveValue(vars.dy, el, index) ?? 0;
+
+  return {
+    x: resolveValue(vars.x, el, index) ?? t.x + dx,
+    y: resolveValue(vars.y, el, index) ?? t.y + dy,
+  };
+};
+
+export class Timeline {
+  /**
+   * Timelines are created paused; call play() once all items are added.
+   * `onRetarget` runs at the start of retarget(), so callers can drop cached targets.
+   * @param {{timeScale?:number,onUpdate?:(time:number)=>void,onComplete?:()=>void,onRetarget?:()=>void}} [options]
+   */
+  constructor({ timeScale = 1, onUpdate, onComplete, onRetarget } = {}) {
+    this.items = [];
+    this.labels = new Map();
+    this.time = 0;
+    this.paused = true;
+    this.reversed = false;
+    this.rate = timeScale > 0 ? timeScale : 1;
+    this.onUpdate = onUpdate;
+    this.onComplete = onComplete;
+    this.onRetarget = onRetarget;
+
+    this._rafId = null;
+    this._lastNow = null;
+    this._done = null;
+    this._last = null; // most recently added item (for '<' and '>' positions)
+  }
+
+  /** Total duration in seconds (end of the last item). */
+  duration() {
+    return this.items.reduce((acc, it) => Math.max(acc, it.start + it.duration), 0);
+  }
+
+  /**
+   * Convert a position parameter into an absolute time (seconds).
+   * Accepts numbers, '+=n' / '-=n' (relative to the end), '<' / '>' (start / end
+   * of the previously added item, optionally followed by an offset) and labels
+   * (optionally followed by an offset). Unknown labels are created at the end.
+   * @param {number|string} [position]
+   * @returns {number}
+   */
+  resolvePosition(position) {
+    const end = this.duration();
+
+    if (position == null) return end;
+    if (typeof position === 'number') return Math.max(0, position);
+
+    const m = /^(.*?)([+-]=)([-0-9.]+)$/.exec(position);
+    const ref = m ? m[1] : position;
+    const offset = m ? (m[2] === '-=' ? -1 : 1) * (parseFloat(m[3]) || 0) : 0;
+
+    return Math.max(0, this._referenceTime(ref, end) + offset);
+  }
+
+  _referenceTime(ref, end) {
+    if (ref === '') return end;
+    if (ref === '<') return this._last ? this._last.start : 0;
+    if (ref === '>') return this._last ? this._last.start + this._last.duration : end;
+    if (!this.labels.has(ref)) this.labels.set(ref, end);
+
+    return this.labels.get(ref);
+  }
+
+  /** Register a label at a position (default: end of timeline). */
+  addLabel(name, position) {
+    this.labels.set(name, this.resolvePosition(position));
+
+    return this;
+  }
+
+  /**
+   * Add translate tweens for one or more elements.
+   * `x`/`y` are absolute translate values, `dx`/`dy` deltas from the translate
+   * found when the tween starts; each may be a number or `(el, index) => number`.
+   * `retarget: false` keeps the end values resolved at start through retarget().
+   * @param {HTMLElement|HTMLElement[]} targets
+   * @param {{x?:any,y?:any,dx?:any,dy?:any,duration?:number,ease?:string,stagger?:number,retarget?:boolean,
+   *   onUpdate?:()=>void}} vars
+   * @param {number|string} [position]
+   */
+  to(targets, vars, position) {
+    const list = Array.isArray(targets) ? targets : [targets];
+    const { duration = 0.5, ease = 'power3.inOut', stagger = 0, onUpdate } = vars;
+    const start = this.resolvePosition(position);
+    const ez = easingByName(ease);
+
+    list.forEach((el, index) => {
+      const item = {
+        el,
+        start: start + index * stagger,
+        duration: Math.max(0, duration),
+        progress: 0,
+        from: null,
+        to: null,
+        restartAt: 0,
+        init() {
+          const t = getTranslate(el);
+
+          this.from = { x: t.x, y: t.y };
+          this.to = resolveEnd(vars, el, index, t);
+        },
+        /**
+         * In flight: aim at freshly resolved end values. The ease restarts from the current
+         * translate over the remaining time (back-solving the start would blow up near k = 1
+         * with overshooting eases).
+         */
+        retarget() {
+          if (!this.from || this.progress <= 0 || this.progress >= 1 || this.interrupted) return;
+          if (vars.retarget === false) return;
+
+          const t = getTranslate(el);
+
+          this.to = resolveEnd(vars, el, index, t);
+          this.from = { x: t.x, y: t.y };
+          this.restartAt = this.progress;
+        },
+        interrupted: false,
+        cancel() {
+          this.interrupted = true;
+        },
+        render(p) {
+          if (this.interrupted) return;
+
+          if (!this.from) {
+            // Never started and still before its start: nothing to restore.
+            if (p <= 0) return;
+            this.init();
+          }
+
+          syncOwnership(this, p);
+
+          const q = Math.max(0, (p - this.restartAt) / (1 - this.restartAt));
+          const k = q > 0 && q < 1 ? ez(q) : q;
+
+          setTranslate(el, this.from.x + (this.to.x - this.from.x) * k, this.from.y + (this.to.y - this.from.y) * k);
+          onUpdate?.();
+        },
+      };
+
+      this.items.push(item);
+      this._last = item;
+    });
+
+    return this;
+  }
+
+  /** Schedule a callback at a position (default: end of timeline). */
+  call(fn, position) {
+    const item = {
+      start: this.resolvePosition(position),
+      duration: 0,
+      progress: 0,
+      fired: false,
+      callback: fn,
+      render() {},
+    };
+
+    this.items.push(item);
+    this._last = item;
+
+    return this;
+  }
+
+  /** Insert an empty gap (seconds), e.g. the hold after each pose. */
+  hold(seconds, position) {
+    const item = {
+      start: this.resolvePosition(position),
+      duration: Math.max(0, seconds),
+      progress: 0,
+      render() {},
+    };
+
+    this.items.push(item);
+    this._last = item;
+
+    return this;
+  }
+
+  /**
+   * Re-resolve the end values of the tweens in flight (e.g. after a viewport
+   * change): each keeps its easing and remaining time and lands on the new
+   * target without jumping. Tweens not started yet resolve lazily anyway.
+   */
+  retarget() {
+    this.onRetarget?.();
+
+    for (const it of this.items) it.retarget?.();
+
+    return this;
+  }
+
+  /** Get or set the playback rate (1 = real time). */
+  timeScale(rate) {
+    if (rate === undefined) return this.rate;
+    if (rate > 0) this.rate = rate;
+
+    return this;
+  }
+
+  /** Current progress in [0,1]. */
+  progress() {
+    const d = this.duration();
+
+    return d > 0 ? this.time / d : 1;
+  }
+
+  /**
+   * Move the playhead and render immediately. Callbacks are skipped unless
+   * `suppressCallbacks` is false.
+   * @param {number|string} position
+   */
+  seek(position, { suppressCallbacks = true } = {}) {
+    const time = typeof position === 'string' ? this.resolvePosition(position) : position;
+
+    this._render(Math.max(0, Math.min(this.duration(), time)), !suppressCallbacks);
+
+    return this;
+  }
+
+  /** Play forward from the current time. Resolves when the end is reached or on kill(). */
+  play() {
+    this.reversed = false;
+
+    return this._start();
+  }
+
+  /** Play backward towards time 0 (from the end if the playhead is at 0). */
+  reverse() {
+    this.reversed = true;
+
+    if (this.time <= 0) this.seek(this.duration());
+
+    return this._start();
+  }
+
+  pause() {
+    this.paused = true;
+    this._stopLoop();
+
+    return this;
+  }
+
+  /** Continue in the current direction. */
+  resume() {
+    return this._start();
+  }
+
+  /** Stop playback and settle the pending play()/reverse() promise. */
+  kill() {
+    for (const it of this.items) {
+      if (it.el) releaseTranslate(it.el, it);
+    }
+
+    this.paused = true;
+    this._stopLoop();
+    this._settle();
+  }
+
+  _start() {
+    if (!this._done) {
+      let resolve;
+      const promise = new Promise((r) => {
+        resolve = r;
+      });
+
+      this._done = { promise, resolve };
+    }
+
+    const { promise } = this._done;
+    const atEnd = this.reversed ? this.time <= 0 : this.time >= this.duration();
+
+    if (atEnd) {
+      this._render(this.time, true);
+      this._finish();
+
+      return promise;
+    }
+
+    this.paused = false;
+
+    if (this._rafId == null) {
+      this._lastNow = getClock().now();
+      this._rafId = getClock().requestFrame((now) => this._tick(now));
+    }
+
+    return promise;
+  }
+
+  _tick(now) {
+    this._rafId = null;
+
+    if (this.paused) return;
+
+    // rAF timestamps can precede the now() read in _start(): never step backwards
+    const dt = this._lastNow == null ? 0 : (Math.max(0, now - this._lastNow) / 1000) * this.rate;
+
+    this._lastNow = now;
+
+    const end = this.duration();
+    const next = Math.max(0, Math.min(end, this.time + (this.reversed ? -dt : dt)));
+
+    this._render(next, true);
+
+    if (this.reversed ? next <= 0 : next >= end) {
+      this._finish();
+      return;
+    }
+
+    this._rafId = getClock().requestFrame((n) => this._tick(n));
+  }
+
+  _render(time, fireCallbacks) {
+    const prev = this.time;
+    const backward = time < prev;
+    const ordered = [...this.items].sort((a, b) => a.start - b.start);
+
+    if (backward) ordered.reverse();
+
+    for (const it of ordered) {
+      if (it.callback) {
+        this._renderCallback(it, time, backward, fireCallbacks);
+        continue;
+      }
+
+      const p = it.duration > 0 ? clamp01((time - it.start) / it.duration) : time >= it.start ? 1 : 0;
+
+      if (p === it.progress) continue;
+
+      it.progress = p;
+      it.render(p);
+    }
+
+    this.time = time;
+    this.onUpdate?.(time);
+  }
+
+  _renderCallback(it, time, backward, fireCallbacks) {
+    // `fired` (rather than prev < start) lets a callback at time 0 run on the first frame.
+    if (backward) {
+      if (time < it.start) it.fired = false;
+      return;
+    }
+
+    if (time >= it.start && !it.fired) {
+      it.fired = true;
+      fireCallbacks && it.callback();
+    }
+  }
+
+  _finish() {
+    this.paused = true;
+    this._stopLoop();
+    this.onComplete?.();
+    this._settle();
+  }
+
+  _settle() {
+    const done = this._done;
+
+    this._done = null;
+    done?.resolve();
+  }
+
+  _stopLoop() {
+    if (this._rafId != null) getClock().cancelFrame(this._rafId);
+
+    this._rafId = null;
+    this._lastNow = null;
+  }
+}
@@ -0,0 +1,69 @@
+/*
+==============================================================================
+ Module: _trail-path.js
+ Role: Path data for the trail segments between consecutive handle anchors.
+ Exports: trailSegments(points, style, tension)
+ Styles:
+   - 'line'      straight M … L … (historical look)
+   - 'quadratic' Q bow: control point pushed off the midpoint, perpendicular
+                 to the segment, by tension × length / 2
+   - 'cubic'     C connector: control points pulled horizontally from each end
+                 by tension × |dx|
+   - 'smooth'    cardinal spline through every anchor (tension 0.5 =
+                 Catmull-Rom), split into one cubic per segment so each trail
+                 path keeps its own gradient; tangents match at shared anchors
+ Notes:
+   - Every segment starts and ends exactly on its anchors, so the gradient
+     endpoints (x1/y1 → x2/y2) stay aligned to the curve ends.
+==============================================================================
+*/
+
+const fmt = (p) => `${p.x} ${p.y}`;
+
+const BUILDERS = {
+  line: (a, b) => `M ${fmt(a)} L ${fmt(b)}`,
+  quadratic: (a, b, tension) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const k = tension / 2;
+    const c = { x: (a.x + b.x) / 2 + dy * k, y: (a.y + b.y) / 2 - dx * k };
+
+    return `M ${fmt(a)} Q ${fmt(c)} ${fmt(b)}`;
+  },
+  cubic: (a, b, tension) => {
+    const pull = Math.abs(b.x - a.x) * tension;
+    const dir = b.x >= a.x ? 1 : -1;
+
+    return `M ${fmt(a)} C ${fmt({ x: a.x + pull * dir, y: a.y })} ${fmt({ x: b.x - pull * dir, y: b.y })} ${fmt(b)}`;
+  },
+  smooth: (a, b, tension, prev, next) => {
+    const p0 = prev ?? a;
+    const p3 = next ?? b;
+    const k = tension / 3;
+    const c1 = { x: a.x + (b.x - p0.x) * k, y: a.y + (b.y - p0.y) * k };
+    const c2 = { x: b.x - (p3.x - a.x) * k, y: b.y - (p3.y - a.y) * k };
+
+    return `M ${fmt(a)} C ${fmt(c1)} ${fmt(c2)} ${fmt(b)}`;
+  },
+};
+
+/**
+ * Path data for each pair of consecutive points.
+ * @param {{x:number,y:number}[]} points anchors in SVG coordinates
+ * @param {string} [style] 'line' | 'quadratic' | 'cubic' | 'smooth' (unknown → line)
+ * @param {number} [tension] 0 = straight, 1 = strongest bend
+ * @returns {{d:string, from:{x:number,y:number}, to:{x:number,y:number}}[]}
+ */
+export function trailSegments(points, style = 'line', tension = 0.5) {
+  const build = BUILDERS[style] ?? BUILDERS.line;
+  const segments = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+
+    segments.push({ d: build(from, to, tension, points[i - 1], points[i + 2]), from, to });
+  }
+
+  return segments;
+}
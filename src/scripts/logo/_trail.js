@@ -1,22 +1,78 @@
 /*
 =============================================================================
  Module: _trail.js
- Purpose: Maintain the two line segments (trailA, trailB) and their associated
+ Purpose: Maintain the trail segments between consecutive groups (segA,
+          segB, … created on demand) and their associated
           gradient endpoints so the visual connectors between groups remain
           accurate while dragging, animating or resizing.
  Details:
    - updateTrail() converts each invisible handle's bottom-center point into
      SVG coordinates so stroke thickness does not distort anchor logic.
+   - Path data comes from trailSegments() (_trail-path.js): straight lines
+     by default, or curves (data-logo-trail / setTrailStyle()); gradient
+     endpoints follow the segment ends.
+   - drawOnTrail() reveals the strokes during the intro (data-logo-trail-draw).
+   - scopeGradientIds() makes gradient ids unique per instance.
    - anchorTargetsPx() returns desired on-screen center positions for each
      group given the current breakpoint (mobile: horizontal layout).
   - SAFE_AREA_PADDING margins (desktop/mobile) are applied here for target
     computation; on mobile we intentionally collapse margins for a tighter spread.
 =============================================================================
 */
-import { SAFE_AREA_PADDING } from './_constants.js';
+import { easingByName } from './_animation-engine.js';
+import { getClock } from './_clock.js';
+import { SAFE_AREA_PADDING, TRAIL } from './_constants.js';
+import { trailSegments } from './_trail-path.js';
+
+/** Segment suffix: segA/gradA join v1–v2, segB/gradB v2–v3, segC/gradC v3–v4… */
+export const segmentLetter = (index) => String.fromCharCode(65 + index);
 
 export function installTrail(cls) {
   Object.assign(cls.prototype, {
+    /** Suffix the gradient ids with the instance id and repoint the trail strokes (multiple logos per page). */
+    scopeGradientIds() {
+      const suffix = `-${this.instanceId}`;
+
+      for (const { path, gradient } of this.trails) {
+        if (!gradient || !path || gradient.id.endsWith(suffix)) continue;
+
+        gradient.id = `${gradient.id}${suffix}`;
+        path.setAttribute('stroke', `url(#${gradient.id})`);
+      }
+    },
+    /**
+     * One segment per pair of consecutive groups: clone the previous segment
+     * (path + gradient) for missing ones, hide segments beyond the last group.
+     */
+    ensureTrailSegments() {
+      this.trails.forEach((seg, i) => {
+        const prev = this.trails[i - 1];
+
+        if ((seg.path && seg.gradient) || !prev?.path || !prev.gradient) return;
+
+        const letter = segmentLetter(i);
+        const gradient = prev.gradient.cloneNode(true);
+        const path = prev.path.cloneNode(true);
+
+        gradient.id = `grad${letter}`;
+        path.id = `seg${letter}`;
+        path.setAttribute('stroke', `url(#${gradient.id})`);
+        prev.gradient.after(gradient);
+        prev.path.after(path);
+
+        seg.path = path;
+        seg.gradient = gradient;
+        this.createdTrailEls.push(path, gradient);
+      });
+
+      for (let i = this.trails.length; ; i++) {
+        const extra = this.byId(`seg${segmentLetter(i)}`);
+
+        if (!extra) break;
+
+        extra.setAttribute('display', 'none');
+      }
+    },
     updateTrail() {
       const anchorFromHandle = (handle) => {
         const r = handle.getBoundingClientRect();
@@ -28,67 +84,137 @@ export function installTrail(cls) {
         return { x: p.x, y: p.y };
       };
 
-      const a = anchorFromHandle(this.groups[0].handle);
-      const b = anchorFromHandle(this.groups[1].handle);
-      const c = anchorFromHandle(this.groups[2].handle);
-
-      this.trailA.setAttribute('d', `M ${a.x} ${a.y} L ${b.x} ${b.y}`);
-      this.trailB.setAttribute('d', `M ${b.x} ${b.y} L ${c.x} ${c.y}`);
-
-      this.gradientA.setAttribute('x1', a.x);
-      this.gradientA.setAttribute('y1', a.y);
-      this.gradientA.setAttribute('x2', b.x);
-      this.gradientA.setAttribute('y2', b.y);
-      this.gradientB.setAttribute('x1', b.x);
-      this.gradientB.setAttribute('y1', b.y);
-      this.gradientB.setAttribute('x2', c.x);
-      this.gradientB.setAttribute('y2', c.y);
+      const points = this.groups.map(({ handle }) => anchorFromHandle(handle));
+      const segments = trailSegments(points, this.trailStyle, this.trailTension);
+
+      segments.forEach(({ d, from, to }, i) => {
+        const { path, gradient } = this.trails[i];
+
+        if (!path || !gradient) return;
+
+        path.setAttribute('d', d);
+
+        // Gradient runs between the segment ends (curves start / end exactly on the anchors)
+        gradient.setAttribute('x1', from.x);
+        gradient.setAttribute('y1', from.y);
+        gradient.setAttribute('x2', to.x);
+        gradient.setAttribute('y2', to.y);
+      });
+    },
+    /** Switch the trail style ('line' | 'quadratic' | 'cubic' | 'smooth') and optionally its tension. */
+    setTrailStyle(style, tension = this.trailTension) {
+      this.trailStyle = TRAIL.styles.includes(style) ? style : TRAIL.style;
+      this.trailTension = Math.min(1, Math.max(0, tension));
+      this.updateTrail();
+    },
+    /**
+     * "Draw-on" effect: reveal the segments one after the other by animating stroke-dashoffset
+     * (pathLength=1) over `duration` seconds. Returns { promise, cancel() };
+     * cancelling shows the full strokes right away.
+     */
+    drawOnTrail({ duration = TRAIL.drawDur, ease = TRAIL.drawEase } = {}) {
+      this.trailDraw?.cancel();
+
+      const clock = getClock();
+      const ez = easingByName(ease);
+      const trails = this.trails.map(({ path }) => path).filter(Boolean);
+      const start = clock.now();
+      let rafId = null;
+      let resolveFn;
+
+      const render = (p) => {
+        // Split progress over the segments so the stroke runs v1 → v2 → … → vN
+        trails.forEach((trail, i) => {
+          const local = Math.min(1, Math.max(0, p * trails.length - i));
+
+          trail.style.strokeDashoffset = String(1 - local);
+        });
+      };
+
+      const handle = {
+        promise: new Promise((resolve) => {
+          resolveFn = resolve;
+        }),
+        cancel: () => {
+          if (rafId != null) clock.cancelFrame(rafId);
+
+          rafId = null;
+
+          for (const trail of trails) {
+            trail.removeAttribute('pathLength');
+            trail.style.removeProperty('stroke-dasharray');
+            trail.style.removeProperty('stroke-dashoffset');
+          }
+
+          if (this.trailDraw === handle) this.trailDraw = null;
+
+          resolveFn();
+        },
+      };
+
+      const step = (now) => {
+        const p = duration > 0 ? Math.min(1, (now - start) / (duration * 1000)) : 1;
+
+        render(ez(p));
+
+        if (p >= 1) {
+          handle.cancel();
+          return;
+        }
+
+        rafId = clock.requestFrame(step);
+      };
+
+      for (const trail of trails) {
+        trail.setAttribute('pathLength', '1');
+        trail.style.strokeDasharray = '1 1';
+      }
+
+      render(0);
+      this.trailDraw = handle;
+      rafId = clock.requestFrame(step);
+
+      return handle;
     },
     anchorTargetsPx() {
+      // A saved / shared arrangement (_arrangement.js) replaces the default anchors
+      if (this.arrangement) return this.arrangementTargetsPx();
+
       const r = this.svgRect();
+      const boxes = this.groups.map(({ node }) => node.getBoundingClientRect());
+      const keys = this.groupKeys();
 
       if (this.isMobile()) {
-        // Mobile horizontal layout
-        const g1 = this.groups[0].node.getBoundingClientRect();
-        const g2 = this.groups[1].node.getBoundingClientRect();
-        const g3 = this.groups[2].node.getBoundingClientRect();
-
+        // Mobile horizontal layout: first / last hugging the safe areas, the others spread between them
         const pad = SAFE_AREA_PADDING.mobile;
-        // Centers for v1 and v3 hugging the safe areas
-        const v1cx = r.left + g1.width / 2 + pad;
-        const v3cx = r.right - g3.width / 2 - pad;
-        // Reference edges
-        const v1Right = v1cx + g1.width / 2;
-        const v3Left = v3cx - g3.width / 2;
-        // Center v2 between v1's right edge and v3's left edge
-        const v2cx = (v1Right + v3Left) / 2;
-
-        const v1 = [v1cx, r.top + g1.height / 2 + pad];
-        const v2 = [v2cx, r.top + g2.height / 2 + pad];
-        const v3 = [v3cx, r.top + g3.height / 2 + pad];
-
-        return { v1, v2, v3 };
+        const xs = this.spreadCentersX(
+          boxes.map((b) => b.width),
+          r.left + pad,
+          r.right - pad
+        );
+
+        return Object.fromEntries(keys.map((key, i) => [key, [xs[i], r.top + boxes[i].height / 2 + pad]]));
       }
 
-      const targetFor = (group, corner) => {
-        const gr = group.getBoundingClientRect();
-        const hw = gr.width / 2;
-        const hh = gr.height / 2;
+      // Desktop: v1 bottom-left, the last group top-right, the others stacked up the
+      // right edge from bottom-right (three groups: v1 bl, v2 br, v3 tr)
+      const pad = SAFE_AREA_PADDING.desktop;
+      const middle = Math.max(1, keys.length - 2);
 
-        const pad = SAFE_AREA_PADDING.desktop;
+      return Object.fromEntries(
+        keys.map((key, i) => {
+          const hw = boxes[i].width / 2;
+          const hh = boxes[i].height / 2;
 
-        return corner === 'bl'
-          ? [r.left + pad + hw, r.bottom - pad - hh]
-          : corner === 'tr'
-            ? [r.right - pad - hw, r.top + pad + hh]
-            : [r.right - pad - hw, r.bottom - pad - hh];
-      };
+          if (i === 0) return [key, [r.left + pad + hw, r.bottom - pad - hh]];
 
-      return {
-        v1: targetFor(this.groups[0].node, 'bl'),
-        v2: targetFor(this.groups[1].node, 'br'),
-        v3: targetFor(this.groups[2].node, 'tr'),
-      };
+          const bottom = r.bottom - pad - hh;
+          const top = r.top + pad + hh;
+          const t = i === keys.length - 1 ? 1 : (i - 1) / middle;
+
+          return [key, [r.right - pad - hw, bottom + (top - bottom) * t]];
+        })
+      );
     },
   });
 }
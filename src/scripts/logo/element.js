@@ -0,0 +1,107 @@
+/*
+==============================================================================
+ File: element.js
+ Role: <neeeda-logo> custom element packaging InteractiveNeeedaLogo with its
+       SVG markup and styles, for pages not built with this Vite setup.
+ Usage:
+   <script type="module" src="…/element.js"></script>
+   <neeeda-logo compact drag intro="first-visit" reduced-motion="reduce"></neeeda-logo>
+ Attributes:
+   - compact: "true"/"false" or boolean presence; absent → follow breakpoint.
+     Live: toggling it animates the scale change.
+   - drag: presence (or "true") lets visitors drag the groups after the intro. Live.
+   - intro: "always" (default) | "first-visit" | "short" (see _intro.js).
+   - reduced-motion: "reduce" | "no-preference"; absent → system setting.
+ Lifecycle:
+   - connectedCallback renders the shadow tree once and mounts a controller
+     scoped to it (state classes such as .booted / .loader-done land on the
+     host instead of <body>); disconnectedCallback destroys it, so the element
+     can be moved or re-inserted.
+ Styles:
+   - _logo.css is reused inside the shadow root with its `body…` selectors
+     rewritten to `:host(…)`, so nothing leaks into (or out of) the page.
+   - `:root…` selectors (the light-scheme palette override keyed off the
+     color-scheme <meta>) become `:host-context(:root…)`: the document root
+     is an ancestor of the host, never an element of the shadow tree.
+==============================================================================
+*/
+import logoSvg from '../../assets/logo.svg?raw';
+import logoCss from '../../styles/_logo.css?raw';
+import { InteractiveNeeedaLogo } from './logo.js';
+
+/**
+ * Rewrite page-level `body…` / `:root…` selectors of a stylesheet for a shadow root:
+ * `body.booted #x` → `:host(.booted) #x`, `body #x` → `:host #x`,
+ * `:root:has(…) #x` → `:host-context(:root:has(…)) #x`, `:root` → `:host`.
+ * @param {string} css
+ * @returns {string}
+ */
+export function toHostStyles(css) {
+  return css
+    .replace(/\bbody((?:[.:[][^\s,{]*)?)/g, (_, state) => (state ? `:host(${state})` : ':host'))
+    .replace(/:root((?:[.:[][^\s,{]*)?)/g, (_, state) => (state ? `:host-context(:root${state})` : ':host'));
+}
+
+/** Parse a boolean-ish attribute: absent → undefined, "" / "true" → true, "false" → false. */
+const boolAttr = (el, name) => {
+  const v = el.getAttribute(name);
+
+  return v == null ? undefined : v !== 'false';
+};
+
+const HOST_CSS = ':host { display: block; }';
+
+export class NeeedaLogoElement extends HTMLElement {
+  static observedAttributes = ['compact', 'drag'];
+
+  constructor() {
+    super();
+    this.logo = null;
+  }
+
+  /** Controller options read from the attributes. */
+  options() {
+    const motion = this.getAttribute('reduced-motion');
+
+    return {
+      stateElement: this,
+      compact: boolAttr(this, 'compact'),
+      intro: this.getAttribute('intro') ?? undefined,
+      reducedMotion: motion == null ? undefined : motion === 'reduce',
+    };
+  }
+
+  render() {
+    if (this.shadowRoot) return this.shadowRoot;
+
+    const root = this.attachShadow({ mode: 'open' });
+
+    root.innerHTML = `<style>${HOST_CSS}\n${toHostStyles(logoCss)}</style>${logoSvg}`;
+
+    return root;
+  }
+
+  connectedCallback() {
+    if (this.logo) return;
+
+    this.logo = new InteractiveNeeedaLogo(this.render(), this.options());
+    this.logo.setDragOptIn(boolAttr(this, 'drag') ?? false);
+    this.logo.init();
+  }
+
+  disconnectedCallback() {
+    this.logo?.destroy();
+    this.logo = null;
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.logo || oldValue === value) return;
+
+    if (name === 'compact') this.logo.setLogoCompact(boolAttr(this, 'compact') ?? this.logo.isMobile());
+    if (name === 'drag') this.logo.setDragOptIn(boolAttr(this, 'drag') ?? false);
+  }
+}
+
+if (globalThis.customElements && !customElements.get('neeeda-logo')) {
+  customElements.define('neeeda-logo', NeeedaLogoElement);
+}
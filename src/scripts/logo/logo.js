@@ -6,100 +6,325 @@
  Overview:
    - Boots the logo: responsive sizing, trail width, layout, base center snap,
      preloader sequence, then exposes optional drag interactions.
-   - Handles compact mode scaling (1 ↔ 0.5) with center-stable logic and
-     promises allowing layout sequencing after animations.
+   - Handles compact mode scaling (1 ↔ 0.5, or fluid with the viewport width
+     via data-logo-scale="fluid") with center-stable logic and promises
+     allowing layout sequencing after animations.
  Flow (init()):
-   1. applyTrailStrokeWidth → reflect compact flag (24 vs 48)
+   1. applyTrailStrokeWidth → reflect target scale (24 vs 48, interpolated when fluid)
    2. layout() → sync viewBox, center/scale logo, initial trail
    3. snapshot baseCenters (untranslated reference positions)
-   4. runPreloader() (async) → wiggle → pose3 → pose4 → anchors → enable drag
+   4. runPreloader() (async) → Timeline: wiggle → pose3 → pose4 → anchors → enable drag
+      (skippable via tap / click / Escape; short intro after the first visit, see _intro.js)
    5. applyGroupScaleTransform() immediate (no flash) for compact mode
    6. attachResize() → rAF debounced, handles breakpoint transitions
+ Teardown: destroy() detaches every listener, cancels frames / tweens and
+   restores the SVG attributes captured in the constructor (_teardown.js).
  Notes:
    - Keep constructor side-effect free except for reading DOM.
+   - All lookups are scoped to the root passed to the constructor (document
+     by default), so several logos can be mounted on one page.
    - Do not initiate animations until init() to let tests instantiate safely.
    - All motion is applied via CSS translate on the group nodes.
+   - Groups are discovered (<g id="vN">, any count); trail segments and
+     gradients beyond segA/segB are cloned in init() and removed by destroy().
 ==============================================================================
 */
 // @ts-check
 import { Easing } from './_animation-engine.js';
+import { installAmbient } from './_ambient.js';
 import { installAnimationFlow } from './_animation-flow.js';
+import { installArrangement } from './_arrangement.js';
+import { installCollision } from './_collision.js';
 import { installCompact } from './_compact.js';
-import { EPS, POSE3, POSE4, SAFE_AREA_PADDING, TO_POSE, WIGGLE } from './_constants.js';
+import {
+  AMBIENT,
+  ARRANGEMENT,
+  COLLISION,
+  EPS,
+  EXPORT,
+  GROUP_SCALE,
+  INERTIA,
+  INTRO,
+  KEYBOARD,
+  LOGO_EVENTS,
+  PALETTE,
+  PARALLAX,
+  POSE3,
+  POSE4,
+  PRELOADER_SCRIPT,
+  SAFE_AREA_PADDING,
+  SNAP,
+  TO_POSE,
+  TRAIL,
+  WIGGLE,
+} from './_constants.js';
 import { installCoverBg } from './_cover-bg.js';
 import { installDrag } from './_drag.js';
+import { installEvents } from './_events.js';
+import { installExport } from './_export.js';
 import { installGeometry } from './_geometry.js';
+import { installInertia } from './_inertia.js';
+import { installIntro } from './_intro.js';
+import { installKeyboard } from './_keyboard.js';
 import { installLayout } from './_layout.js';
+import { installPalette } from './_palette.js';
+import { installParallax } from './_parallax.js';
 import { installScale } from './_scale.js';
-import { installTrail } from './_trail.js';
+import { installSnap } from './_snap.js';
+import { installTeardown } from './_teardown.js';
+import { installTrail, segmentLetter } from './_trail.js';
+
+// Instance counter: suffix for the gradient ids of scoped instances.
+let instanceCount = 0;
+
+// Group ids: v1, v2, … (handles / labels are handle-vN / label-vN).
+const GROUP_ID = /^v\d+$/;
+
+/** One of `preset.modes`, else the preset's default mode. */
+const pickMode = (value, preset) => (preset.modes.includes(value) ? value : preset.mode);
+
+/** Non-negative number from an attribute value, else `fallback`. */
+const nonNegative = (value, fallback) => {
+  const n = Number.parseFloat(value ?? '');
+
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+/** Comma-separated list of non-negative numbers (invalid entries dropped). */
+const nonNegativeList = (value) =>
+  (value ?? '')
+    .split(',')
+    .map((v) => nonNegative(v.trim(), null))
+    .filter((v) => v != null);
+
+/** Opt-in shortcut attribute: absent / "false" => off, "" / "true" => default, else the combo itself. */
+const pickShortcut = (value, fallback) => {
+  if (value == null || value === 'false') return null;
+
+  return value === '' || value === 'true' ? fallback : value;
+};
 
 export class InteractiveNeeedaLogo {
-  constructor() {
-    // DOM refs
-    this.svg = document.querySelector('svg');
-    this.logo = document.getElementById('neeeda-logo');
-    this.trailA = document.getElementById('segA');
-    this.trailB = document.getElementById('segB');
-    this.gradientA = document.getElementById('gradA');
-    this.gradientB = document.getElementById('gradB');
-
-    // Trail thickness configuration (boolean toggle 24px <-> 48px)
-    this.MIN_TRAIL_SW = 24; // thin
-    this.MAX_TRAIL_SW = 48; // thick (default)
-
-    // Compact mode determination: absent attribute => derive from breakpoint.
-    const attr = document.body?.getAttribute('data-logo-compact');
-
-    if (attr == null) {
-      // isMobile mixin installed earlier via mixin chain.
-      this.logoCompact = this.isMobile();
-      document.body?.setAttribute('data-logo-compact', String(this.logoCompact));
-    } else {
-      this.logoCompact = attr === 'true';
-    }
-
-    this.groups = [
-      {
-        node: document.getElementById('v1'),
-        handle: document.getElementById('handle-v1'),
-        label: document.getElementById('label-v1'),
-      },
-      {
-        node: document.getElementById('v2'),
-        handle: document.getElementById('handle-v2'),
-        label: document.getElementById('label-v2'),
-      },
-      {
-        node: document.getElementById('v3'),
-        handle: document.getElementById('handle-v3'),
-        label: document.getElementById('label-v3'),
-      },
-    ];
-
-    // Drag registry per group
+  /**
+   * @param {Document|Element|ShadowRoot} [root] Scope of every lookup: the logo <svg>, an
+   *   element (or shadow root) containing it, or the whole document (default, single instance).
+   * @param {{stateElement?:HTMLElement, compact?:boolean, scale?:'steps'|'fluid', drag?:boolean, intro?:string,
+   *   reducedMotion?:boolean, breakpointAnimate?:boolean, collide?:'off'|'stop'|'push',
+   *   snap?:'off'|'idle'|'magnet'|'both', trail?:string, exportShortcut?:string, palette?:string,
+   *   ambient?:'off'|'drift'|'breathe', parallax?:boolean}} [options]
+   *   Explicit settings; each one falls back to its data-logo-* attribute. `stateElement` receives the state
+   *   classes (booted, loader-done…) and data-logo-compact instead of <body>. `exportShortcut` is a key combo
+   *   such as 'mod+shift+e' ('true' for EXPORT.shortcut); `palette` one of PALETTE.names.
+   */
+  constructor(root = document, options = {}) {
+    this.root = root;
+    this.instanceId = ++instanceCount;
+    this.stateEl = options.stateElement ?? document.body;
+
+    // DOM refs (ids are looked up inside root, so several logos may share the markup)
+    const byId = (id) => this.byId(id);
+
+    this.svg = root.nodeName?.toLowerCase() === 'svg' ? root : root.querySelector('svg');
+    this.logo = byId('neeeda-logo');
+    this.trailA = byId('segA');
+    this.trailB = byId('segB');
+    this.gradientA = byId('gradA');
+    this.gradientB = byId('gradB');
+
+    // Trail thickness at the compact / full scale endpoints (interpolated in fluid mode)
+    this.MIN_TRAIL_SW = GROUP_SCALE.minStroke; // thin
+    this.MAX_TRAIL_SW = GROUP_SCALE.maxStroke; // thick (default)
+
+    // Groups: every <g id="vN"> in this logo's SVG (N = 1, 2, …) with its handle-vN / label-vN.
+    // Scoped to the SVG (root may be the whole document) and deduplicated by id.
+    const groupIds = [...new Set([...(this.svg ?? root).querySelectorAll('g[id^="v"]')].map((el) => el.id))]
+      .filter((id) => GROUP_ID.test(id))
+      .sort((a, b) => a.slice(1) - b.slice(1));
+
+    this.groups = groupIds.map((id) => ({
+      node: byId(id),
+      handle: byId(`handle-${id}`),
+      label: byId(`label-${id}`),
+    }));
+
+    // One trail segment per pair of consecutive groups (segA/gradA, segB/gradB, …);
+    // init() clones the missing ones. trailA / trailB / gradientA / gradientB above
+    // remain as aliases of the first two.
+    this.trails = this.groups.slice(1).map((_, i) => ({
+      path: byId(`seg${segmentLetter(i)}`),
+      gradient: byId(`grad${segmentLetter(i)}`),
+    }));
+    this.createdTrailEls = [];
+
+    // Attribute snapshot restored by destroy() (taken before init() writes anything).
+    this.initialState = this.captureInitialState();
+    this.destroyed = false;
+
+    // Compact mode determination: option, then attribute; absent => derive from breakpoint.
+    this.logoCompact = this.readCompactFlag(options.compact);
+
+    // Group scale: data-logo-scale = steps (1 / 0.5 by compact flag) | fluid (follows the viewport width).
+    this.scaleMode = pickMode(options.scale ?? this.configAttr('data-logo-scale'), GROUP_SCALE);
+
+    // Drag after the intro only when opted in (data-logo-drag="true", also drives the grab cursor).
+    this.dragOptIn = this.configFlag(options.drag, 'data-logo-drag');
+
+    // Momentum after drag release (data-logo-inertia="false" opts out).
+    this.dragInertia = this.configAttr('data-logo-inertia') !== 'false';
+
+    // Group collisions while dragging: data-logo-collide = off | stop | push, data-logo-collide-gap (px).
+    this.collisionMode = pickMode(options.collide ?? this.configAttr('data-logo-collide'), COLLISION);
+    this.collisionGap = nonNegative(this.configAttr('data-logo-collide-gap'), COLLISION.gap);
+
+    // Snap-back after a drop: data-logo-snap = off | idle | magnet | both, data-logo-snap-idle (ms).
+    this.snapMode = pickMode(options.snap ?? this.configAttr('data-logo-snap'), SNAP);
+    this.snapIdleMs = nonNegative(this.configAttr('data-logo-snap-idle'), SNAP.idleMs);
+    this.snapTimers = new Map();
+    this.snapTokens = new Map();
+
+    // Home layout restored from the URL hash / localStorage (null => default anchors);
+    // data-logo-persist="true" saves the layout after every move.
+    this.arrangement = null;
+    this.persistArrangement = this.configAttr('data-logo-persist') === 'true';
+
+    // Trail look: data-logo-trail = line | quadratic | cubic | smooth, data-logo-trail-tension in [0, 1],
+    // data-logo-trail-draw="true" draws the strokes on during the intro.
+    this.trailStyle = pickMode(options.trail ?? this.configAttr('data-logo-trail'), {
+      modes: TRAIL.styles,
+      mode: TRAIL.style,
+    });
+    this.trailTension = Math.min(1, nonNegative(this.configAttr('data-logo-trail-tension'), TRAIL.tension));
+    this.trailDrawOn = this.configAttr('data-logo-trail-draw') === 'true';
+    this.trailDraw = null;
+
+    // Named trail palette (data-logo-palette, PALETTE.names); colors come from CSS custom properties.
+    this.trailPalette = options.palette ?? this.configAttr('data-logo-palette');
+    this.paletteHandler = null;
+
+    // Idle motion after the intro: data-logo-ambient = off | drift | breathe.
+    this.ambientMode = pickMode(options.ambient ?? this.configAttr('data-logo-ambient'), AMBIENT);
+    this.ambient = null;
+    this.ambientResumeTimer = null;
+    this.ambientListeners = null;
+
+    // Pointer / tilt parallax: data-logo-parallax="true", data-logo-parallax-depths="0.6,1,1.4".
+    this.parallaxOn = this.configFlag(options.parallax, 'data-logo-parallax');
+    this.parallaxDepths = nonNegativeList(this.configAttr('data-logo-parallax-depths'));
+    this.parallaxInput = { x: 0, y: 0 };
+    this.parallaxTarget = { x: 0, y: 0 };
+    this.parallaxOffsets = new Map();
+    this.parallaxRaf = null;
+    this.parallaxListeners = null;
+    this.parallaxOrientationHandler = null;
+
+    // Export shortcut (off unless data-logo-export-shortcut is set; "true" / "" => EXPORT.shortcut).
+    this.exportShortcut = pickShortcut(
+      options.exportShortcut ?? this.configAttr('data-logo-export-shortcut'),
+      EXPORT.shortcut,
+    );
+    this.exportShortcutHandler = null;
+
+    // Reduced motion override (undefined => follow the system preference).
+    this.reducedMotion = options.reducedMotion;
+
+    // Drag registry per group (pointer + keyboard); aria-live region created on first announcement
     this.dragRegistry = new Map();
+    // Active drags keyed by pointerId (one per finger / mouse)
+    this.dragPointers = new Map();
+    this.liveRegion = null;
 
-    // RAF state for resize
+    // RAF state for boot (init) and resize; resize listeners for detachResize()
+    this.bootRaf = 0;
     this.resizeRaf = 0;
+    this.orientationRaf = 0;
+    this.resizeListeners = null;
 
     // Base centers snapshot (in CSS px) captured before animations
     this.baseCenters = new Map();
 
-    // Track current scale applied to groups (1 or 0.5). Avoid cumulative drift.
+    // Track current scale applied to groups (1 / 0.5, anything in between when fluid). Avoid cumulative drift.
     this.currentGroupScale = 1;
 
     // Track current layout mode to detect breakpoint transitions, will be updated in init after geometry install
     this.currentLayoutMode = 'desktop';
 
-    // Animate breakpoint transitions? (data-logo-breakpoint-animate) default false.
-    this.animateBreakpointTransitions = false;
+    // Animate breakpoint transitions? (data-logo-breakpoint-animate="true" / breakpointAnimate option) default false.
+    this.animateBreakpointTransitions = this.configFlag(options.breakpointAnimate, 'data-logo-breakpoint-animate');
+
+    // Timeline of the running preloader (null until runPreloader builds it), and the
+    // promise of a running animated breakpoint transition (runPreloader waits for it).
+    this.preloaderTimeline = null;
+    this.layoutTransition = null;
+
+    // Preloader pose script (replaced by data-logo-choreography* or setChoreography()).
+    this.choreography = PRELOADER_SCRIPT;
+
+    // Intro playback: data-logo-intro = always | first-visit | short; data-logo-intro-skip="false" opts out.
+    this.introMode = options.intro ?? this.configAttr('data-logo-intro') ?? 'always';
+    this.introSkippable = this.configAttr('data-logo-intro-skip') !== 'false';
+    this.introSkipped = false;
+    this.introSkipHandlers = null;
+
+    // Lifecycle events (see _events.js): script events already dispatched this intro.
+    this.firedStepEvents = new Set();
+    this.loaderDoneEmitted = false;
   }
 
   static Easing = Easing;
 
-  /** Public entry: activate drag, layout, preload animation and resize. */
+  /**
+   * Element holding the logo configuration (data-logo-* attributes): the root
+   * element or the state element when it carries one of `names`, otherwise <body>.
+   * @param {...string} names
+   */
+  configElement(...names) {
+    const scoped = [this.root, this.stateEl].filter((el) => el !== document.body && el?.hasAttribute);
+
+    return scoped.find((el) => names.some((n) => el.hasAttribute(n))) ?? document.body;
+  }
+
+  /** Element with the given id inside root. */
+  byId(id) {
+    return this.root.querySelector(`#${id}`);
+  }
+
+  /** Read a data-logo-* option from the root element, falling back to <body>. */
+  configAttr(name) {
+    return this.configElement(name)?.getAttribute(name) ?? null;
+  }
+
+  /** Boolean option, else its data-logo-* attribute ("true" => on). */
+  configFlag(option, name) {
+    return option ?? this.configAttr(name) === 'true';
+  }
+
+  /** Initial compact flag; when neither option nor attribute is set, derive it from the breakpoint and reflect it. */
+  readCompactFlag(option) {
+    const attr = option ?? this.stateEl?.getAttribute('data-logo-compact');
+
+    if (attr != null) return attr === true || attr === 'true';
+
+    // isMobile mixin installed earlier via mixin chain.
+    const compact = this.isMobile();
+
+    this.stateEl?.setAttribute('data-logo-compact', String(compact));
+
+    return compact;
+  }
+
+  /** Public entry: activate drag, layout, preload animation and resize. Undo with destroy(). */
   init() {
-    requestAnimationFrame(() => {
+    // Segments for every pair of groups (logo variants with more than three groups)
+    this.ensureTrailSegments();
+
+    // Scoped instances get unique gradient ids so their trails do not share url(#gradA)
+    if (this.root !== document) this.scopeGradientIds();
+
+    // Gradient stops follow the theme / named palette (CSS custom properties)
+    this.setTrailPalette(this.trailPalette);
+    this.attachPalette();
+
+    this.bootRaf = requestAnimationFrame(() => {
       // Initial trail stroke width (layout independent).
       this.applyTrailStrokeWidth();
 
@@ -127,15 +352,25 @@ export class InteractiveNeeedaLogo {
       this.attachCoverBg?.();
 
       // Boot flash fix: show only when ready (double rAF ensures style flush).
-      requestAnimationFrame(() => {
-        document.body.classList.add('booted');
-        if (!document.body.classList.contains('logo-faded')) {
-          document.body.classList.add('logo-fade-in-start');
+      this.bootRaf = requestAnimationFrame(() => {
+        this.bootRaf = 0;
+        this.stateEl.classList.add('booted');
+        if (!this.stateEl.classList.contains('logo-faded')) {
+          this.stateEl.classList.add('logo-fade-in-start');
         }
         // Start the preloader after fade-in class is in place.
         this.runPreloader();
       });
 
+      // Opt-in export shortcut (PNG download).
+      this.attachExportShortcut();
+
+      // Idle motion listeners (interaction, visibility, reduced motion); the loop starts after the intro.
+      this.attachAmbient();
+
+      // Opt-in cursor / tilt parallax (applied once the intro is done).
+      this.attachParallax();
+
       // Resize behavior installed last.
       this.attachResize();
     });
@@ -143,21 +378,56 @@ export class InteractiveNeeedaLogo {
 }
 
 // Install mixins & re-export constants
+installEvents(InteractiveNeeedaLogo);
 installGeometry(InteractiveNeeedaLogo);
 installTrail(InteractiveNeeedaLogo);
 installDrag(InteractiveNeeedaLogo);
+installKeyboard(InteractiveNeeedaLogo);
+installInertia(InteractiveNeeedaLogo);
+installCollision(InteractiveNeeedaLogo);
+installSnap(InteractiveNeeedaLogo);
+installArrangement(InteractiveNeeedaLogo);
+installExport(InteractiveNeeedaLogo);
+installPalette(InteractiveNeeedaLogo);
+installAmbient(InteractiveNeeedaLogo);
+installParallax(InteractiveNeeedaLogo);
 installLayout(InteractiveNeeedaLogo);
 installAnimationFlow(InteractiveNeeedaLogo);
+installIntro(InteractiveNeeedaLogo);
 installScale(InteractiveNeeedaLogo);
 installCompact(InteractiveNeeedaLogo);
 installCoverBg(InteractiveNeeedaLogo);
+installTeardown(InteractiveNeeedaLogo);
 
-Object.assign(InteractiveNeeedaLogo, { WIGGLE, POSE3, POSE4, TO_POSE, SAFE_AREA_PADDING, EPS });
+Object.assign(InteractiveNeeedaLogo, {
+  WIGGLE,
+  POSE3,
+  POSE4,
+  TO_POSE,
+  PRELOADER_SCRIPT,
+  INTRO,
+  ARRANGEMENT,
+  INERTIA,
+  COLLISION,
+  SNAP,
+  KEYBOARD,
+  TRAIL,
+  EXPORT,
+  PALETTE,
+  AMBIENT,
+  PARALLAX,
+  GROUP_SCALE,
+  LOGO_EVENTS,
+  SAFE_AREA_PADDING,
+  EPS,
+});
 
 // (Scale & compact mode methods now mixed in via _scale.js and _compact.js)
 
-// Utility: system preference for reduced motion
+// Utility: reduced motion (explicit option first, then the system preference)
 InteractiveNeeedaLogo.prototype.prefersReducedMotion = function prefersReducedMotion() {
+  if (typeof this.reducedMotion === 'boolean') return this.reducedMotion;
+
   try {
     return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
   } catch {
@@ -166,7 +436,8 @@ InteractiveNeeedaLogo.prototype.prefersReducedMotion = function prefersReducedMo
 };
 
 // Bootstrap on load (skip in tests or when DOM not ready/element missing)
-// Auto-bootstrap only in browser contexts (skips during tests / SSR)
+// Auto-bootstrap only in browser contexts (skips during tests / SSR). Single
+// instance over the document; extra logos: new InteractiveNeeedaLogo(svg).init().
 if (globalThis?.document?.getElementById('neeeda-logo') && !import.meta?.vitest) {
   new InteractiveNeeedaLogo().init();
 }
@@ -0,0 +1,169 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cancelTranslate, getTranslate, tweenTranslate } from '../scripts/logo/_animation-engine.js';
+import { smoothNoise } from '../scripts/logo/_ambient.js';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { AMBIENT, LOGO_EVENTS } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('smoothNoise', () => {
+  it('stays in [-1, 1], is continuous and differs per seed', () => {
+    const samples = Array.from({ length: 400 }, (_, i) => smoothNoise(1, i / 40));
+
+    expect(samples.every((v) => v >= -1 && v <= 1)).toBe(true);
+    expect(Math.max(...samples.slice(1).map((v, i) => Math.abs(v - samples[i])))).toBeLessThan(0.2);
+    expect(smoothNoise(1, 2.5)).not.toBe(smoothNoise(2, 2.5));
+    expect(smoothNoise(3, 1.25)).toBe(smoothNoise(3, 1.25));
+  });
+});
+
+describe('InteractiveNeeedaLogo ambient motion', () => {
+  let clock;
+  let logo;
+  let svg;
+
+  const offsets = () => logo.groups.map(({ node }) => getTranslate(node));
+
+  beforeEach(() => {
+    clock = new ManualClock();
+    setClock(clock);
+
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = '<g id="neeeda-logo"><g id="v1"></g><g id="v2"></g><g id="v3"></g></g>';
+    document.body.appendChild(svg);
+    document.body.classList.add('loader-done');
+
+    logo = new InteractiveNeeedaLogo(document, { ambient: 'drift', reducedMotion: false });
+
+    logo.groups.forEach(({ node }, i) => {
+      node.getBoundingClientRect = () => {
+        const { x, y } = getTranslate(node);
+        const left = 100 + i * 200 + x;
+
+        return { left, top: 100 + y, width: 20, height: 20, right: left + 20, bottom: 120 + y };
+      };
+    });
+    Object.assign(logo, { updateTrail: vi.fn(), clampGroupBox: vi.fn() });
+    logo.attachAmbient();
+  });
+
+  afterEach(() => {
+    logo.destroy();
+    svg.remove();
+    document.body.classList.remove('loader-done');
+    resetClock();
+  });
+
+  it('drifts the groups within the amplitude, clamped and with the trail following', () => {
+    logo.startAmbient();
+    clock.step(0);
+    expect(offsets()).toEqual([
+      { x: 0, y: 0 },
+      { x: 0, y: 0 },
+      { x: 0, y: 0 },
+    ]);
+
+    for (let i = 0; i < 300; i++) clock.step();
+
+    const moved = offsets();
+
+    expect(moved.some(({ x, y }) => x !== 0 || y !== 0)).toBe(true);
+    expect(moved.every(({ x, y }) => Math.abs(x) <= AMBIENT.amplitude && Math.abs(y) <= AMBIENT.amplitude)).toBe(true);
+    expect(logo.clampGroupBox).toHaveBeenCalled();
+    expect(logo.updateTrail).toHaveBeenCalled();
+  });
+
+  it('breathes the outer groups along the axis through the common center', () => {
+    logo.setAmbient('breathe');
+    clock.step(0);
+    // Peak of the second breath, well after the fade-in
+    clock.step(AMBIENT.period * 1250);
+
+    const [v1, v2, v3] = offsets();
+
+    expect(v2.x).toBeCloseTo(0);
+    expect(v1.x).toBeCloseTo(-AMBIENT.amplitude);
+    expect(v3.x).toBeCloseTo(AMBIENT.amplitude);
+    expect(v1.y).toBeCloseTo(0);
+  });
+
+  it('pauses on drag and resumes from the new spot after the quiet period', () => {
+    logo.startAmbient();
+    for (let i = 0; i < 60; i++) clock.step();
+
+    logo.emit(LOGO_EVENTS.dragStart, { key: 'v1' });
+    expect(logo.ambient).toBe(null);
+
+    const paused = offsets();
+
+    clock.step(AMBIENT.resumeMs - 100);
+    expect(offsets()).toEqual(paused);
+
+    clock.step(100);
+    expect(logo.ambient).not.toBe(null);
+  });
+
+  it('does not restart under a group held still past the quiet period', () => {
+    logo.startAmbient();
+    clock.step();
+
+    // Pointer down, one move, then the finger rests on the group
+    logo.dragPointers.set(1, { node: logo.groups[0].node });
+    logo.emit(LOGO_EVENTS.dragStart, { key: 'v1' });
+    const held = offsets();
+
+    clock.step(AMBIENT.resumeMs * 3);
+    expect(logo.ambient).toBe(null);
+    expect(offsets()).toEqual(held);
+
+    logo.dragPointers.delete(1);
+    clock.step(AMBIENT.resumeMs);
+    expect(logo.ambient).not.toBe(null);
+  });
+
+  it('is interrupted by other tweens and waits for them to finish', () => {
+    const node = logo.groups[0].node;
+
+    logo.startAmbient();
+    clock.step();
+
+    tweenTranslate(node, 50, 0, { duration: (AMBIENT.resumeMs + 1000) / 1000 });
+    expect(logo.ambient).toBe(null);
+
+    clock.step(AMBIENT.resumeMs);
+    expect(logo.ambient).toBe(null);
+
+    cancelTranslate(node);
+    clock.step(AMBIENT.resumeMs);
+    expect(logo.ambient).not.toBe(null);
+  });
+
+  it('stays still with reduced motion, before the intro ends and while the tab is hidden', () => {
+    logo.reducedMotion = true;
+    logo.startAmbient();
+    expect(logo.ambient).toBe(null);
+
+    logo.reducedMotion = false;
+    document.body.classList.remove('loader-done');
+    logo.startAmbient();
+    expect(logo.ambient).toBe(null);
+
+    document.body.classList.add('loader-done');
+    logo.startAmbient();
+    for (let i = 0; i < 120; i++) clock.step();
+
+    const hidden = vi.spyOn(document, 'hidden', 'get').mockReturnValue(true);
+
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(logo.ambient).toBe(null);
+    expect(offsets().every(({ x, y }) => x === 0 && y === 0)).toBe(true);
+
+    hidden.mockReturnValue(false);
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(logo.ambient).not.toBe(null);
+    hidden.mockRestore();
+  });
+
+  it('is off by default', () => {
+    expect(new InteractiveNeeedaLogo().ambientMode).toBe('off');
+  });
+});
@@ -1,11 +1,15 @@
-import { beforeEach, describe, expect, it } from 'vitest';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
 import {
   Easing,
+  activeTranslate,
   animateTranslate,
+  cancelTranslate,
   getTranslate,
   incTranslate,
   setTranslate,
+  tweenTranslate,
 } from '../scripts/logo/_animation-engine.js';
+import { Timeline } from '../scripts/logo/_timeline.js';
 
 describe('animation runtime', () => {
   let el;
@@ -53,3 +57,61 @@ describe('animation runtime', () => {
     expect(getTranslate(el)).toEqual({ x: 20, y: -10 });
   });
 });
+
+describe('translate tween handles', () => {
+  let el;
+  beforeEach(() => {
+    el = document.createElement('div');
+    document.body.appendChild(el);
+    setTranslate(el, 0, 0);
+  });
+
+  it('cancel stops the tween, resolves the promise and calls onCancel', async () => {
+    const onCancel = vi.fn();
+    const onComplete = vi.fn();
+    const h = tweenTranslate(el, 100, 0, { duration: 10, onCancel, onComplete });
+    expect(activeTranslate(el)).toBe(h);
+
+    h.cancel();
+    await h.promise;
+
+    expect(h.cancelled).toBe(true);
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(activeTranslate(el)).toBeNull();
+    expect(getTranslate(el).x).toBeLessThan(100);
+  });
+
+  it('finish jumps to the end values', async () => {
+    const onComplete = vi.fn();
+    const h = tweenTranslate(el, 40, -20, { duration: 10, onComplete });
+    h.finish();
+    await h.promise;
+    expect(getTranslate(el)).toEqual({ x: 40, y: -20 });
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('a new tween on the same node interrupts the previous one', async () => {
+    const onCancel = vi.fn();
+    const first = tweenTranslate(el, 100, 0, { duration: 10, onCancel });
+    const second = tweenTranslate(el, 0, 30, { duration: 0.01 });
+
+    await Promise.all([first.promise, second.promise]);
+
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    expect(first.cancelled).toBe(true);
+    expect(second.cancelled).toBe(false);
+    expect(getTranslate(el)).toEqual({ x: 0, y: 30 });
+  });
+
+  it('cancelTranslate interrupts a running timeline tween', () => {
+    const tl = new Timeline();
+    tl.to(el, { x: 100, duration: 1, ease: 'linear' });
+    tl.seek(0.5);
+    expect(activeTranslate(el)).not.toBeNull();
+
+    cancelTranslate(el);
+    tl.seek(0.75);
+    expect(getTranslate(el).x).toBe(50);
+  });
+});
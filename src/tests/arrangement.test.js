@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { getTranslate } from '../scripts/logo/_animation-engine.js';
+import { parseArrangement, serializeArrangement } from '../scripts/logo/_arrangement.js';
+import { ARRANGEMENT } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const LAYOUT = { v1: [0.25, 0.5], v2: [0.5, 0.125], v3: [0.75, 0.5] };
+
+describe('arrangement serialization', () => {
+  it('round-trips percent centers at fixed precision', () => {
+    const text = serializeArrangement({ v1: [0.123456, 0.5], v2: [0, 1], v3: [0.75, 0.3333] });
+
+    expect(text).toBe('v1:0.123,0.5;v2:0,1;v3:0.75,0.333');
+    expect(parseArrangement(text)).toEqual({ v1: [0.123, 0.5], v2: [0, 1], v3: [0.75, 0.333] });
+  });
+
+  it('rejects incomplete or out-of-range input', () => {
+    expect(parseArrangement(null)).toBe(null);
+    expect(parseArrangement('v1:0.1,0.2;v2:0.3,0.4')).toBe(null);
+    expect(parseArrangement('v1:0.1,0.2;v2:0.3,1.4;v3:0.5,0.5')).toBe(null);
+    expect(parseArrangement('v1:0.1;v2:0.3,0.4;v3:0.5,0.5')).toBe(null);
+    expect(parseArrangement('garbage')).toBe(null);
+  });
+});
+
+describe('InteractiveNeeedaLogo arrangement', () => {
+  let logo;
+
+  beforeEach(() => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const root = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    root.id = 'neeeda-logo';
+    for (const id of ['v1', 'v2', 'v3']) {
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.id = id;
+      root.appendChild(g);
+    }
+    svg.appendChild(root);
+    document.body.appendChild(svg);
+
+    logo = new InteractiveNeeedaLogo();
+
+    // 20px groups whose untranslated centers sit at the SVG origin (800×400 box)
+    for (const { node } of logo.groups) {
+      node.getBoundingClientRect = () => {
+        const { x, y } = getTranslate(node);
+
+        return { left: x - 10, top: y - 10, width: 20, height: 20, right: x + 10, bottom: y + 10 };
+      };
+      logo.baseCenters.set(node, { x: 0, y: 0 });
+    }
+
+    Object.assign(logo, {
+      updateTrail: () => {},
+      clampGroupBox: () => {},
+      isMobile: () => false,
+      svgRect: () => ({ left: 0, top: 0, right: 800, bottom: 400, width: 800, height: 400 }),
+    });
+  });
+
+  afterEach(() => {
+    logo.destroy();
+    localStorage.clear();
+    history.replaceState(null, '', location.pathname);
+    document.body.innerHTML = '';
+  });
+
+  it('applies an arrangement and reports it back through currentPercents', () => {
+    logo.applyArrangement(LAYOUT);
+
+    expect(getTranslate(logo.groups[1].node)).toMatchObject({ x: 400, y: 50 });
+    expect(logo.currentPercents()).toEqual(LAYOUT);
+  });
+
+  it('uses the arrangement instead of the default anchors', () => {
+    logo.arrangement = LAYOUT;
+
+    expect(logo.anchorTargetsPx()).toEqual({ v1: [200, 200], v2: [400, 50], v3: [600, 200] });
+  });
+
+  it('saves to localStorage and shares through the URL hash', () => {
+    logo.applyArrangement(LAYOUT);
+
+    expect(logo.saveArrangement()).toBe('v1:0.25,0.5;v2:0.5,0.125;v3:0.75,0.5');
+    expect(localStorage.getItem(ARRANGEMENT.storageKey)).toBe('v1:0.25,0.5;v2:0.5,0.125;v3:0.75,0.5');
+
+    history.replaceState(null, '', '#section=intro&logo=old');
+    expect(logo.arrangementUrl()).toBe(
+      `${location.origin}${location.pathname}#section=intro&logo=v1:0.25,0.5;v2:0.5,0.125;v3:0.75,0.5`,
+    );
+  });
+
+  it('restores from the URL hash first, then localStorage', () => {
+    expect(logo.readSavedArrangement()).toBe(null);
+
+    localStorage.setItem(ARRANGEMENT.storageKey, 'v1:0.1,0.1;v2:0.2,0.2;v3:0.3,0.3');
+    expect(logo.readSavedArrangement()).toEqual({ v1: [0.1, 0.1], v2: [0.2, 0.2], v3: [0.3, 0.3] });
+
+    history.replaceState(null, '', '#logo=v1:0.9,0.9;v2:0.8,0.8;v3:0.7,0.7');
+    expect(logo.readSavedArrangement()).toEqual({ v1: [0.9, 0.9], v2: [0.8, 0.8], v3: [0.7, 0.7] });
+
+    logo.clearArrangement();
+    history.replaceState(null, '', location.pathname);
+    expect(logo.readSavedArrangement()).toBe(null);
+  });
+
+  it('autosaves only with data-logo-persist="true"', () => {
+    logo.applyArrangement(LAYOUT);
+    logo.autosaveArrangement();
+    expect(localStorage.getItem(ARRANGEMENT.storageKey)).toBe(null);
+
+    logo.persistArrangement = true;
+    logo.autosaveArrangement();
+    expect(localStorage.getItem(ARRANGEMENT.storageKey)).toBe('v1:0.25,0.5;v2:0.5,0.125;v3:0.75,0.5');
+  });
+});
@@ -0,0 +1,241 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cancelTranslate, getTranslate } from '../scripts/logo/_animation-engine.js';
+import { flushMicrotasks, ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { BREAKPOINT_TRANSITION, LOGO_EVENTS } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const ANCHORS = { v1: [100, 500], v2: [700, 100], v3: [700, 300] };
+
+describe('Breakpoint transitions', () => {
+  let clock;
+  let logo;
+  let svg;
+  let events;
+  let offs;
+
+  const scaleOf = (node) => Number(/scale\(([0-9.]+)\)/.exec(node.style.transform)?.[1] ?? 1);
+
+  const centers = () =>
+    logo.groups.map(({ node }) => {
+      const c = logo.centerOf(node);
+
+      return [Math.round(c.x), Math.round(c.y)];
+    });
+
+  beforeEach(() => {
+    clock = new ManualClock();
+    setClock(clock);
+
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = '<g id="neeeda-logo"><g id="v1"></g><g id="v2"></g><g id="v3"></g></g>';
+    document.body.appendChild(svg);
+    document.body.setAttribute('data-logo-breakpoint-animate', 'true');
+
+    logo = new InteractiveNeeedaLogo(document, { compact: false, reducedMotion: false });
+    logo.currentLayoutMode = 'desktop';
+
+    // 40px groups scaled around their center, untranslated centers at (400, 300)
+    for (const { node } of logo.groups) {
+      node.getBoundingClientRect = () => {
+        const { x, y } = getTranslate(node);
+        const half = 20 * scaleOf(node);
+
+        return { left: 400 + x - half, top: 300 + y - half, width: 2 * half, height: 2 * half };
+      };
+    }
+
+    Object.assign(logo, { anchorTargetsPx: () => ANCHORS, updateTrail: vi.fn() });
+
+    events = [];
+    offs = [LOGO_EVENTS.breakpoint, LOGO_EVENTS.compact, LOGO_EVENTS.resizeSettled].map((name) =>
+      logo.on(name, (detail) => events.push([name, detail.to ?? detail.animated ?? detail.mode])),
+    );
+  });
+
+  afterEach(() => {
+    for (const off of offs) off();
+    logo.destroy();
+    svg.remove();
+    document.body.removeAttribute('data-logo-breakpoint-animate');
+    resetClock();
+  });
+
+  it('reads the attribute, with the JS option taking precedence', () => {
+    expect(logo.animateBreakpointTransitions).toBe(true);
+    expect(new InteractiveNeeedaLogo(document, { breakpointAnimate: false }).animateBreakpointTransitions).toBe(false);
+
+    document.body.removeAttribute('data-logo-breakpoint-animate');
+    expect(new InteractiveNeeedaLogo().animateBreakpointTransitions).toBe(false);
+  });
+
+  it('scales and moves the groups in one tween, cancelling the intro', async () => {
+    const kill = vi.fn();
+
+    logo.preloaderTimeline = { kill };
+    logo.crossBreakpoint('mobile');
+
+    expect(kill).toHaveBeenCalled();
+    expect(logo.logoCompact).toBe(true);
+
+    clock.step(0);
+    clock.step((BREAKPOINT_TRANSITION.dur * 1000) / 2);
+
+    const v1 = logo.groups[0].node;
+    const mid = scaleOf(v1);
+
+    expect(mid).toBeGreaterThan(0.5);
+    expect(mid).toBeLessThan(1);
+    expect(centers()[0][0]).toBeLessThan(400);
+    expect(centers()[0][0]).toBeGreaterThan(100);
+
+    await clock.advance(BREAKPOINT_TRANSITION.dur * 1000);
+
+    expect(logo.groups.map(({ node }) => scaleOf(node))).toEqual([0.5, 0.5, 0.5]);
+    expect(logo.currentGroupScale).toBe(0.5);
+    expect(centers()).toEqual(Object.values(ANCHORS));
+    expect(events).toEqual([
+      [LOGO_EVENTS.breakpoint, 'mobile'],
+      [LOGO_EVENTS.compact, true],
+      [LOGO_EVENTS.resizeSettled, 'mobile'],
+    ]);
+  });
+
+  it('lands the stored translate on the anchors while a parallax offset is applied', async () => {
+    // Parallax layer: CSS `translate` offset the browser includes in the measured rect
+    for (const { node } of logo.groups) {
+      const measure = node.getBoundingClientRect;
+
+      node.style.setProperty('translate', '5px 3px');
+      logo.parallaxOffsets.set(node, { x: 5, y: 3 });
+      node.getBoundingClientRect = () => {
+        const r = measure();
+        const on = node.style.getPropertyValue('translate') !== '';
+
+        return on ? { ...r, left: r.left + 5, top: r.top + 3 } : r;
+      };
+    }
+
+    logo.crossBreakpoint('mobile');
+    clock.step(0);
+    await clock.advance(BREAKPOINT_TRANSITION.dur * 1000 + 50);
+
+    expect(centers()).toEqual(Object.values(ANCHORS));
+
+    logo.resetParallax();
+    expect(centers()).toEqual(Object.values(ANCHORS));
+  });
+
+  it('keeps a real intro waiting until a transition that cut it short has settled', async () => {
+    Object.assign(logo, {
+      prepareIntroLayout: async () => {},
+      fadeInIfNeeded: async () => {},
+      preloaderSteps: () => [
+        { label: 'anchors', type: 'anchors', targets: () => logo.anchorTargetsPx(), dur: 2, ease: 'linear', hold: 0 },
+      ],
+      setDragEnabled: vi.fn(),
+      dragOptIn: true,
+    });
+    for (const { node } of logo.groups) logo.baseCenters.set(node, { x: 400, y: 300 });
+
+    let finished = false;
+    const done = logo.runPreloader().then(() => {
+      finished = true;
+    });
+
+    await clock.advance(500);
+    expect(logo.preloaderTimeline.paused).toBe(false);
+
+    logo.crossBreakpoint('mobile');
+    await clock.advance(200);
+
+    // The intro was killed, but drag / reveal wait for the groups to land
+    expect(logo.preloaderTimeline.paused).toBe(true);
+    expect(finished).toBe(false);
+    expect(logo.stateEl.classList.contains('loader-done')).toBe(false);
+    expect(logo.setDragEnabled.mock.calls.every(([on]) => on === false)).toBe(true);
+
+    // Interrupted mid-way (e.g. a grab): no in-between scale is left behind
+    cancelTranslate(logo.groups[0].node);
+    await done;
+
+    expect(logo.groups.map(({ node }) => scaleOf(node))).toEqual([0.5, 0.5, 0.5]);
+    expect(logo.currentGroupScale).toBe(0.5);
+    expect(logo.layoutTransition).toBe(null);
+    expect(logo.stateEl.classList.contains('loader-done')).toBe(true);
+    expect(logo.setDragEnabled).toHaveBeenLastCalledWith(true);
+    logo.stateEl.classList.remove('loader-done');
+  });
+
+  it('leaves the restored SVG and state element alone when destroyed mid-transition', async () => {
+    const seg = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    seg.setAttribute('d', 'M 0 0 L 1 1');
+    svg.appendChild(seg);
+    // Stand-in for the real trail update: writes path data like updateTrail() does
+    logo.updateTrail = () => seg.setAttribute('d', 'M 9 9 L 8 8');
+    logo.setDragEnabled = vi.fn();
+    logo.stateEl.classList.add('loader-done');
+
+    logo.crossBreakpoint('mobile');
+    clock.step(0);
+    clock.step(100);
+    logo.destroy();
+    // As restoreInitialState() does for the markup segments
+    seg.setAttribute('d', 'M 0 0 L 1 1');
+
+    const d = seg.getAttribute('d');
+    const state = logo.stateEl.className;
+
+    logo.setDragEnabled.mockClear();
+    events.length = 0;
+    await clock.advance(BREAKPOINT_TRANSITION.dur * 1000);
+
+    expect(seg.getAttribute('d')).toBe(d);
+    expect(logo.stateEl.className).toBe(state);
+    expect(logo.setDragEnabled).not.toHaveBeenCalled();
+    expect(events).toEqual([]);
+
+    logo.stateEl.classList.remove('loader-done');
+  });
+
+  it('jumps at once without the attribute or under reduced motion', async () => {
+    logo.reducedMotion = true;
+    logo.crossBreakpoint('mobile');
+    await flushMicrotasks();
+
+    expect(logo.currentGroupScale).toBe(0.5);
+    expect(centers()).toEqual(Object.values(ANCHORS));
+    expect(events.map(([name]) => name)).toEqual([
+      LOGO_EVENTS.compact,
+      LOGO_EVENTS.breakpoint,
+      LOGO_EVENTS.resizeSettled,
+    ]);
+  });
+
+  it('re-targets a running intro instead of moving the groups underneath it', async () => {
+    const anchors = { ...ANCHORS };
+
+    logo.anchorTargetsPx = () => anchors;
+    for (const { node } of logo.groups) logo.baseCenters.set(node, { x: 400, y: 300 });
+
+    logo.preloaderTimeline = logo.buildPreloaderTimeline([
+      { label: 'anchors', type: 'anchors', targets: () => logo.anchorTargetsPx(), dur: 1, ease: 'linear', hold: 0 },
+    ]);
+    const done = logo.preloaderTimeline.play();
+
+    clock.step(0);
+    clock.step(500);
+    const mid = centers();
+
+    // Rotated: the anchors move while the intro is in flight
+    anchors.v1 = [300, 100];
+    logo.followViewport();
+
+    expect(centers()).toEqual(mid);
+
+    await clock.advance(600);
+    await done;
+
+    expect(centers()).toEqual([[300, 100], ANCHORS.v2, ANCHORS.v3]);
+    expect(logo.retargetPreloader()).toBe(false);
+  });
+});
@@ -0,0 +1,146 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { readChoreographySource, validateChoreography } from '../scripts/logo/_choreography.js';
+import { PRELOADER_SCRIPT, TO_POSE } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const POSE = { v1: [0.2, 0.5], v2: [0.5, 0.3], v3: [0.8, 0.5] };
+
+describe('validateChoreography', () => {
+  it('accepts the default script unchanged', () => {
+    const { valid, errors, script } = validateChoreography(PRELOADER_SCRIPT);
+
+    expect(valid).toBe(true);
+    expect(errors).toEqual([]);
+    expect(script.steps.map((s) => s.label)).toEqual(['wiggle', 'pose3', 'pose4', 'anchors']);
+    expect(script.steps[1].event).toBe('logo:midway');
+  });
+
+  it('fills in defaults and infers pose steps', () => {
+    const { valid, script } = validateChoreography([{ pose: POSE }, { type: 'anchors' }]);
+
+    expect(valid).toBe(true);
+    expect(script.steps[0]).toMatchObject({
+      type: 'pose',
+      label: 'pose0',
+      dur: TO_POSE.dur,
+      ease: TO_POSE.ease,
+      hold: TO_POSE.hold,
+      mobileCompress: 0.6,
+    });
+    expect(script.steps[1]).toMatchObject({ type: 'anchors', label: 'anchors1', hold: 0 });
+  });
+
+  it('reports every problem instead of stopping at the first', () => {
+    const { valid, errors, script } = validateChoreography({
+      version: 2,
+      steps: [
+        { type: 'pose', pose: { v1: [0.2, 1.5], v2: [0.5, 0.3] }, ease: 'wobble.out', dur: -1 },
+        { type: 'wiggle', label: 'a', offsets: { v9: [0.1, 0] } },
+        { type: 'spin', label: 'a' },
+      ],
+    });
+
+    expect(valid).toBe(false);
+    expect(script).toBe(null);
+    expect(errors).toEqual([
+      'unsupported version 2',
+      'steps[0].dur must be a number in [0, Infinity]',
+      'steps[0].ease "wobble.out" is not a known easing',
+      'steps[0].pose.v1 must be [x, y] percentages in [0, 1]',
+      'steps[0].pose.v3 must be [x, y] percentages in [0, 1]',
+      'steps[1].offsets.v9 is not a logo group',
+      'steps[2].type must be one of pose, wiggle, anchors',
+      'duplicate step label "a"',
+      'last step must be of type "anchors"',
+    ]);
+  });
+
+  it('rejects labels that read as timeline positions', () => {
+    const { valid, errors } = validateChoreography([
+      { label: 'a+=1', pose: POSE },
+      { label: '<', pose: POSE },
+      { label: 'settle-down', type: 'anchors' },
+    ]);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'steps[0].label "a+=1" clashes with timeline position syntax (+=, -=, <, >)',
+      'steps[1].label "<" clashes with timeline position syntax (+=, -=, <, >)',
+    ]);
+  });
+
+  it('rejects scripts without steps', () => {
+    expect(validateChoreography({}).valid).toBe(false);
+    expect(validateChoreography({ steps: [] }).errors).toEqual(['script must define a non-empty steps array']);
+  });
+});
+
+describe('readChoreographySource', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('prefers inline JSON and falls back to fetching the src attribute', async () => {
+    const el = document.createElement('div');
+
+    expect(await readChoreographySource(el)).toBe(null);
+
+    el.setAttribute('data-logo-choreography-src', '/intros/winter.json');
+    const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ steps: [{ type: 'anchors' }] }) }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    expect(await readChoreographySource(el)).toEqual({ steps: [{ type: 'anchors' }] });
+    expect(fetchMock).toHaveBeenCalledWith('/intros/winter.json');
+
+    el.setAttribute('data-logo-choreography', '{"steps":[]}');
+    expect(await readChoreographySource(el)).toEqual({ steps: [] });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects on failed requests', async () => {
+    const el = document.createElement('div');
+    el.setAttribute('data-logo-choreography-src', '/missing.json');
+    vi.stubGlobal('fetch', async () => ({ ok: false, status: 404 }));
+
+    await expect(readChoreographySource(el)).rejects.toThrow('HTTP 404 loading /missing.json');
+  });
+});
+
+describe('InteractiveNeeedaLogo choreography', () => {
+  const { setChoreography, preloaderSteps } = InteractiveNeeedaLogo.prototype;
+
+  it('installs valid scripts and keeps the current one otherwise', () => {
+    const ctx = { choreography: PRELOADER_SCRIPT, groupKeys: () => ['v1', 'v2', 'v3'] };
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(setChoreography.call(ctx, { steps: [{ type: 'spin' }] })).toHaveLength(2);
+    expect(ctx.choreography).toBe(PRELOADER_SCRIPT);
+    expect(warn).toHaveBeenCalledTimes(1);
+
+    expect(setChoreography.call(ctx, [{ label: 'hero', pose: POSE, event: 'logo:hero' }, { type: 'anchors' }])).toEqual(
+      [],
+    );
+    expect(ctx.choreography.steps[0].label).toBe('hero');
+
+    warn.mockRestore();
+  });
+
+  it('maps script steps to timeline steps with lazy targets', () => {
+    const ctx = {
+      choreography: validateChoreography([{ pose: POSE, event: 'logo:hero' }, { type: 'anchors', reveal: 0.2 }]).script,
+      poseTargetsPx: vi.fn(() => ({})),
+      anchorTargetsPx: vi.fn(() => ({})),
+    };
+
+    const steps = preloaderSteps.call(ctx);
+
+    expect(steps.map(({ label, event, revealAt }) => ({ label, event, revealAt }))).toEqual([
+      { label: 'pose0', event: 'logo:hero', revealAt: undefined },
+      { label: 'anchors1', event: undefined, revealAt: 0.2 },
+    ]);
+    expect(ctx.poseTargetsPx).not.toHaveBeenCalled();
+
+    steps[0].targets();
+    expect(ctx.poseTargetsPx).toHaveBeenCalledWith(POSE, 0.6);
+  });
+});
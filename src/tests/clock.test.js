@@ -0,0 +1,91 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { getTranslate, setTranslate, sleep, tweenTranslate } from '../scripts/logo/_animation-engine.js';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { installScale } from '../scripts/logo/_scale.js';
+import { Timeline } from '../scripts/logo/_timeline.js';
+
+describe('manual clock', () => {
+  let clock;
+  let v1;
+  let v2;
+  let v3;
+  beforeEach(() => {
+    clock = new ManualClock();
+    setClock(clock);
+    [v1, v2, v3] = ['v1', 'v2', 'v3'].map((id) => {
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.id = id;
+      setTranslate(g, 0, 0);
+      return g;
+    });
+  });
+  afterEach(() => {
+    resetClock();
+  });
+
+  it('steps a translate tween frame by frame', async () => {
+    const h = tweenTranslate(v1, 100, -50, { duration: 1, ease: 'linear' });
+
+    clock.step(250);
+    expect(getTranslate(v1)).toEqual({ x: 25, y: -12.5 });
+
+    clock.step(500);
+    expect(getTranslate(v1)).toEqual({ x: 75, y: -37.5 });
+
+    clock.step(250);
+    await h.promise;
+    expect(getTranslate(v1)).toEqual({ x: 100, y: -50 });
+  });
+
+  it('plays a staggered timeline over v1/v2/v3 with exact intermediate transforms', async () => {
+    const tl = new Timeline();
+    tl.to([v1, v2, v3], { dx: 60, duration: 0.6, ease: 'linear', stagger: 0.2 });
+
+    const done = tl.play();
+    clock.step(300);
+    const xs = [v1, v2, v3].map((g) => getTranslate(g).x);
+    expect(xs[0]).toBeCloseTo(30, 10);
+    expect(xs[1]).toBeCloseTo(10, 10);
+    expect(xs[2]).toBe(0);
+
+    await clock.advance(1000);
+    await done;
+    expect([v1, v2, v3].map((g) => getTranslate(g).x)).toEqual([60, 60, 60]);
+  });
+
+  it('resolves sleep only when the clock reaches the deadline', async () => {
+    let resolved = false;
+    sleep(100).then(() => {
+      resolved = true;
+    });
+
+    await clock.advance(80);
+    expect(resolved).toBe(false);
+
+    await clock.advance(40);
+    expect(resolved).toBe(true);
+  });
+
+  it('drives the group scale animation', async () => {
+    class Ctrl {
+      constructor() {
+        this.currentGroupScale = 1;
+        this.groups = [v1, v2, v3].map((node) => {
+          node.getBoundingClientRect = () => ({ left: 0, top: 0, width: 0, height: 0 });
+          return { node };
+        });
+      }
+    }
+    installScale(Ctrl);
+    const ctrl = new Ctrl();
+
+    const p = ctrl.animateGroupScaleTransform(0.5, { duration: 400, easing: (t) => t });
+    clock.step(200);
+    expect(v1.style.transform).toMatch(/scale\(0\.75\)/);
+
+    clock.step(200);
+    await p;
+    expect(ctrl.currentGroupScale).toBe(0.5);
+    expect(v3.style.transform).toMatch(/scale\(0\.5\)/);
+  });
+});
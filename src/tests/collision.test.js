@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { forgetTranslate, getTranslate, setTranslate } from '../scripts/logo/_animation-engine.js';
+import { separation } from '../scripts/logo/_collision.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const rect = (left, top, size = 40) => ({ left, top, right: left + size, bottom: top + size });
+
+describe('separation', () => {
+  it('is zero for boxes at least `gap` apart', () => {
+    expect(separation(rect(0, 0), rect(50, 0), 10)).toEqual({ dx: 0, dy: 0 });
+    expect(separation(rect(0, 0), rect(0, 60), 10)).toEqual({ dx: 0, dy: 0 });
+  });
+
+  it('resolves along the axis with the least penetration', () => {
+    expect(separation(rect(0, 0), rect(30, 5), 10)).toEqual({ dx: -20, dy: 0 });
+    expect(separation(rect(35, 0), rect(30, 35), 0)).toEqual({ dx: 0, dy: -5 });
+    expect(separation(rect(60, 10), rect(30, 0), 0)).toEqual({ dx: 10, dy: 0 });
+  });
+});
+
+describe('InteractiveNeeedaLogo collisions', () => {
+  const { resolveCollisions, collideWith, pushGroup, layoutRect } = InteractiveNeeedaLogo.prototype;
+  let nodes;
+  let ctx;
+
+  // 40px boxes at fixed base positions, moved by their translate
+  const makeGroup = (left, top) => {
+    const node = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+
+    node.getBoundingClientRect = () => {
+      const t = getTranslate(node);
+
+      return rect(left + t.x, top + t.y);
+    };
+
+    return node;
+  };
+
+  beforeEach(() => {
+    nodes = [makeGroup(0, 0), makeGroup(100, 0), makeGroup(300, 0)];
+    ctx = {
+      groups: nodes.map((node) => ({ node })),
+      collisionMode: 'stop',
+      collisionGap: 10,
+      layoutRect,
+      // Safe area: x ∈ [0, 400]
+      clampGroupBox(node) {
+        const r = node.getBoundingClientRect();
+        const t = getTranslate(node);
+
+        if (r.right > 400) setTranslate(node, t.x - (r.right - 400), t.y);
+      },
+      resolveCollisions,
+      collideWith,
+      pushGroup,
+    };
+  });
+
+  afterEach(() => {
+    for (const node of nodes) forgetTranslate(node);
+  });
+
+  it('does nothing when collisions are off', () => {
+    ctx.collisionMode = 'off';
+    setTranslate(nodes[0], 90, 0);
+
+    expect(ctx.resolveCollisions(nodes[0])).toEqual({ dx: 0, dy: 0 });
+    expect(getTranslate(nodes[0]).x).toBe(90);
+  });
+
+  it('stops the moving group at the minimum gap', () => {
+    setTranslate(nodes[0], 80, 0);
+
+    expect(ctx.resolveCollisions(nodes[0])).toEqual({ dx: -30, dy: 0 });
+    expect(getTranslate(nodes[0]).x).toBe(50);
+    expect(getTranslate(nodes[1]).x).toBe(0);
+  });
+
+  it('pushes the other group along', () => {
+    ctx.collisionMode = 'push';
+    setTranslate(nodes[0], 80, 0);
+
+    expect(ctx.resolveCollisions(nodes[0])).toEqual({ dx: 0, dy: 0 });
+    expect(getTranslate(nodes[0]).x).toBe(80);
+    expect(getTranslate(nodes[1]).x).toBe(30);
+  });
+
+  it('stops the pusher for what a clamped group cannot absorb', () => {
+    ctx.collisionMode = 'push';
+    setTranslate(nodes[1], 250, 0); // v2 box at 350..390, 10px from the edge
+    setTranslate(nodes[2], -300, 0); // v3 out of the way
+    setTranslate(nodes[0], 320, 0); // v1 box at 320..360
+
+    ctx.resolveCollisions(nodes[0]);
+
+    expect(getTranslate(nodes[1]).x).toBe(260);
+    expect(getTranslate(nodes[0]).x).toBe(310);
+  });
+
+  it('reads data-logo-collide and the gap from the config element', () => {
+    document.body.setAttribute('data-logo-collide', 'push');
+    document.body.setAttribute('data-logo-collide-gap', '4');
+
+    expect(new InteractiveNeeedaLogo()).toMatchObject({ collisionMode: 'push', collisionGap: 4 });
+
+    document.body.setAttribute('data-logo-collide', 'bogus');
+    document.body.removeAttribute('data-logo-collide-gap');
+
+    expect(new InteractiveNeeedaLogo()).toMatchObject({ collisionMode: 'off', collisionGap: 12 });
+    document.body.removeAttribute('data-logo-collide');
+  });
+});
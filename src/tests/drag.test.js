@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { getTranslate } from '../scripts/logo/_animation-engine.js';
+import { LOGO_EVENTS } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('Multi-pointer drag', () => {
+  let logo;
+  let v1;
+  let v2;
+  let log;
+  let offs;
+
+  const pointer = (type, pointerId, clientX = 0, clientY = 0) =>
+    new PointerEvent(type, { pointerId, clientX, clientY, bubbles: true });
+
+  beforeEach(() => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const root = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    root.id = 'neeeda-logo';
+    for (const id of ['v1', 'v2', 'v3']) {
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.id = id;
+      root.appendChild(g);
+    }
+    svg.appendChild(root);
+    document.body.appendChild(svg);
+
+    logo = new InteractiveNeeedaLogo();
+    Object.assign(logo, {
+      updateTrail: () => {},
+      clampGroupBox: () => {},
+      startInertia: () => null,
+    });
+    [v1, v2] = logo.groups.map(({ node }) => node);
+
+    for (const { node } of logo.groups) logo.setupDrag(node);
+
+    log = [];
+    offs = [LOGO_EVENTS.dragStart, LOGO_EVENTS.dragEnd].map((name) =>
+      logo.on(name, ({ key }) => log.push(`${name}:${key}`)),
+    );
+  });
+
+  afterEach(() => {
+    for (const off of offs) off();
+    logo.destroy();
+    document.body.innerHTML = '';
+  });
+
+  it('lets two fingers drag two groups at the same time', () => {
+    v1.dispatchEvent(pointer('pointerdown', 1, 10, 10));
+    v2.dispatchEvent(pointer('pointerdown', 2, 100, 100));
+
+    window.dispatchEvent(pointer('pointermove', 1, 30, 10));
+    window.dispatchEvent(pointer('pointermove', 2, 100, 60));
+
+    expect(getTranslate(v1)).toMatchObject({ x: 20, y: 0 });
+    expect(getTranslate(v2)).toMatchObject({ x: 0, y: -40 });
+
+    window.dispatchEvent(pointer('pointerup', 1));
+    window.dispatchEvent(pointer('pointermove', 2, 110, 60));
+
+    expect(getTranslate(v1)).toMatchObject({ x: 20, y: 0 });
+    expect(getTranslate(v2)).toMatchObject({ x: 10, y: -40 });
+
+    window.dispatchEvent(pointer('pointercancel', 2));
+
+    expect(log).toEqual([
+      `${LOGO_EVENTS.dragStart}:v1`,
+      `${LOGO_EVENTS.dragStart}:v2`,
+      `${LOGO_EVENTS.dragEnd}:v1`,
+      `${LOGO_EVENTS.dragEnd}:v2`,
+    ]);
+    expect(logo.dragPointers.size).toBe(0);
+  });
+
+  it('ignores a second pointer on a group that is already held', () => {
+    v1.dispatchEvent(pointer('pointerdown', 1, 0, 0));
+    v1.dispatchEvent(pointer('pointerdown', 2, 50, 50));
+    window.dispatchEvent(pointer('pointermove', 2, 80, 80));
+    window.dispatchEvent(pointer('pointermove', 1, 5, 0));
+
+    expect(getTranslate(v1)).toMatchObject({ x: 5, y: 0 });
+
+    window.dispatchEvent(pointer('pointerup', 2));
+    expect(logo.dragPointers.size).toBe(1);
+    window.dispatchEvent(pointer('pointerup', 1));
+    expect(log.filter((e) => e.startsWith(LOGO_EVENTS.dragEnd))).toHaveLength(1);
+  });
+
+  it('no longer handles touch events on their own (no double-firing)', () => {
+    v1.dispatchEvent(new Event('touchstart'));
+    window.dispatchEvent(new Event('touchend'));
+
+    expect(log).toEqual([]);
+  });
+
+  it('drops drags in progress when drag is disabled', () => {
+    v1.dispatchEvent(pointer('pointerdown', 1, 0, 0));
+    logo.setDragEnabled(false);
+
+    expect(logo.dragPointers.size).toBe(0);
+  });
+});
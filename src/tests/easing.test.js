@@ -0,0 +1,68 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { Easing, easingByName, isEasingName } from '../scripts/logo/_animation-engine.js';
+import { TO_POSE, WIGGLE } from '../scripts/logo/_constants.js';
+import { cubicBezier, spring, steps } from '../scripts/logo/_easing.js';
+
+describe('easing catalogue', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('keeps the historical power2/power3 inOut curves', () => {
+    for (const t of [0.1, 0.3, 0.5, 0.7, 0.9]) {
+      expect(easingByName('power2.inOut')(t)).toBeCloseTo(t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t), 10);
+      expect(easingByName('power3.inOut')(t)).toBeCloseTo(t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2, 10);
+    }
+    expect(Easing.power2InOut).toBeTypeOf('function');
+  });
+
+  it('resolves every family and direction with fixed endpoints', () => {
+    const names = ['linear', 'sine.in', 'expo.out', 'circ.inOut', 'back.out(2)', 'elastic.out(1, 0.4)', 'bounce.in'];
+    for (const name of names) {
+      expect(isEasingName(name)).toBe(true);
+      const fn = easingByName(name);
+      expect(fn(0)).toBeCloseTo(0, 6);
+      expect(fn(1)).toBeCloseTo(1, 6);
+    }
+    expect(easingByName('back.out(2)')(0.5)).toBeGreaterThan(1);
+  });
+
+  it('solves cubic-bezier strings and CSS keywords', () => {
+    expect(easingByName('cubic-bezier(0.42, 0, 0.58, 1)')(0.5)).toBeCloseTo(0.5, 5);
+    expect(easingByName('ease-in-out')(0.25)).toBeCloseTo(cubicBezier(0.42, 0, 0.58, 1)(0.25), 10);
+    expect(cubicBezier(0, 0, 1, 1)(0.3)).toBeCloseTo(0.3, 5);
+  });
+
+  it('implements steps() jump positions', () => {
+    expect(steps(4)(0.3)).toBe(0.25);
+    expect(steps(4, 'jump-start')(0.3)).toBe(0.5);
+    expect(steps(3, 'jump-none')(0.5)).toBe(0.5);
+    expect(easingByName('steps(2, jump-both)')(0.6)).toBeCloseTo(2 / 3, 10);
+  });
+
+  it('spring settles at 1, can overshoot and honours initial velocity', () => {
+    const bouncy = spring({ stiffness: 200, damping: 8 });
+    const samples = Array.from({ length: 99 }, (_, i) => bouncy((i + 1) / 100));
+    expect(Math.max(...samples)).toBeGreaterThan(1);
+    expect(bouncy(1)).toBe(1);
+    expect(bouncy.settleTime).toBeGreaterThan(0);
+
+    const fast = bouncy.withVelocity(20);
+    expect(fast(0.05)).toBeGreaterThan(bouncy(0.05));
+    expect(isEasingName('spring(1, 120, 14)')).toBe(true);
+  });
+
+  it('reports unknown names once and falls back to linear', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fn = easingByName('power9.sideways');
+    easingByName('power9.sideways');
+    expect(fn(0.4)).toBe(0.4);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(isEasingName('power9.sideways')).toBe(false);
+  });
+
+  it('constants presets reference known easings', () => {
+    expect(isEasingName(WIGGLE.ease)).toBe(true);
+    expect(isEasingName(TO_POSE.ease)).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { NeeedaLogoElement, toHostStyles } from '../scripts/logo/element.js';
+
+describe('<neeeda-logo>', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  it('rewrites body selectors of _logo.css for the shadow root', () => {
+    const css = [
+      'body[data-logo-drag="true"] #v1, body.booted.logo-fade-in-start #segA { opacity: 0; }',
+      'body:not(.booted) #neeeda-logo {}',
+      'body #v2 {}',
+    ].join('\n');
+
+    expect(toHostStyles(css)).toBe(
+      [
+        ':host([data-logo-drag="true"]) #v1, :host(.booted.logo-fade-in-start) #segA { opacity: 0; }',
+        ':host(:not(.booted)) #neeeda-logo {}',
+        ':host #v2 {}',
+      ].join('\n'),
+    );
+  });
+
+  it('rewrites :root selectors to match the document from inside the shadow root', () => {
+    const css = [
+      ":root:has(meta[name='color-scheme'][content='light']) [data-logo-palette='ocean'] { color: red; }",
+      ':root { --x: 1; }',
+    ].join('\n');
+
+    expect(toHostStyles(css)).toBe(
+      [
+        ":host-context(:root:has(meta[name='color-scheme'][content='light'])) [data-logo-palette='ocean'] { color: red; }",
+        ':host { --x: 1; }',
+      ].join('\n'),
+    );
+  });
+
+  it('mounts a controller scoped to its shadow root with options from attributes', () => {
+    const el = document.createElement('neeeda-logo');
+    el.setAttribute('compact', '');
+    el.setAttribute('drag', '');
+    el.setAttribute('intro', 'short');
+    el.setAttribute('reduced-motion', 'reduce');
+    document.body.appendChild(el);
+
+    expect(el).toBeInstanceOf(NeeedaLogoElement);
+    const { logo } = el;
+    expect(logo.svg.getRootNode()).toBe(el.shadowRoot);
+    expect(logo.groups.every(({ node }) => el.shadowRoot.contains(node))).toBe(true);
+    expect(logo.stateEl).toBe(el);
+    expect(logo.logoCompact).toBe(true);
+    expect(logo.dragOptIn).toBe(true);
+    expect(logo.introMode).toBe('short');
+    expect(logo.prefersReducedMotion()).toBe(true);
+    expect(el.getAttribute('data-logo-drag')).toBe('true');
+    expect(document.body.hasAttribute('data-logo-compact')).toBe(false);
+  });
+
+  it('forwards live attribute changes and tears down on disconnect', () => {
+    const el = document.createElement('neeeda-logo');
+    el.setAttribute('compact', 'false');
+    document.body.appendChild(el);
+    const { logo } = el;
+    const setCompact = vi.spyOn(logo, 'setLogoCompact').mockResolvedValue();
+    const destroy = vi.spyOn(logo, 'destroy');
+
+    el.setAttribute('compact', 'true');
+    expect(setCompact).toHaveBeenCalledWith(true);
+
+    el.setAttribute('drag', '');
+    expect(logo.dragOptIn).toBe(true);
+
+    el.remove();
+    expect(destroy).toHaveBeenCalledTimes(1);
+    expect(el.logo).toBe(null);
+
+    document.body.appendChild(el);
+    expect(el.logo).not.toBe(logo);
+    expect(el.shadowRoot.querySelectorAll('svg')).toHaveLength(1);
+    el.remove();
+  });
+});
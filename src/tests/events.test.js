@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { LOGO_EVENTS } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('Lifecycle events', () => {
+  let clock;
+  let logo;
+  let log;
+  let offs;
+
+  beforeEach(() => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const root = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    root.id = 'neeeda-logo';
+    for (const id of ['v1', 'v2', 'v3']) {
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.id = id;
+      root.appendChild(g);
+    }
+    svg.appendChild(root);
+    document.body.appendChild(svg);
+
+    clock = new ManualClock();
+    setClock(clock);
+
+    logo = new InteractiveNeeedaLogo();
+    Object.assign(logo, {
+      waitForViewportStability: async () => {},
+      fadeInIfNeeded: async () => {},
+      prefersReducedMotion: () => false,
+      updateTrail: () => {},
+      snapToAnchors: () => {},
+      clampGroupBox: () => {},
+      svgRect: () => ({ left: 0, top: 0, right: 800, bottom: 600, width: 800, height: 600 }),
+    });
+
+    log = [];
+    offs = [...Object.values(LOGO_EVENTS), 'logo:midway'].map((name) =>
+      logo.on(name, (detail) => log.push([name, detail])),
+    );
+  });
+
+  afterEach(() => {
+    for (const off of offs) off();
+    resetClock();
+    localStorage.clear();
+    document.body.innerHTML = '';
+    document.body.className = '';
+  });
+
+  const names = () => log.map(([name]) => name);
+
+  it('announces the intro, each pose and loader-done in order', async () => {
+    logo.setChoreography([
+      { label: 'a', pose: { v1: [0.2, 0.5], v2: [0.5, 0.5], v3: [0.8, 0.5] }, dur: 0.2, hold: 0, event: 'logo:midway' },
+      { label: 'b', type: 'anchors', dur: 0.2, reveal: 0.1 },
+    ]);
+    logo.anchorTargetsPx = () => ({ v1: [100, 300], v2: [400, 300], v3: [700, 300] });
+
+    const done = logo.runPreloader();
+    await clock.advance(600);
+    await done;
+
+    expect(names()).toEqual([
+      LOGO_EVENTS.introStart,
+      'logo:midway',
+      LOGO_EVENTS.pose,
+      LOGO_EVENTS.loaderDone,
+      LOGO_EVENTS.pose,
+    ]);
+    expect(log[0][1]).toMatchObject({ mode: 'full', steps: ['a', 'b'], logo });
+    expect(log[2][1]).toMatchObject({ label: 'a', type: 'pose', index: 0 });
+    expect(log[3][1]).toMatchObject({ skipped: false, reducedMotion: false });
+  });
+
+  it('still dispatches script events once when the intro is skipped', async () => {
+    const midway = vi.fn();
+    window.addEventListener('logo:midway', midway);
+
+    const done = logo.runPreloader();
+    await clock.advance(100);
+    logo.skipIntro();
+    await done;
+
+    expect(names()).toEqual([LOGO_EVENTS.introStart, 'logo:midway', LOGO_EVENTS.loaderDone]);
+    expect(log[2][1]).toMatchObject({ skipped: true });
+    expect(midway).toHaveBeenCalledTimes(1);
+    window.removeEventListener('logo:midway', midway);
+  });
+
+  it('reports drag start / move / end with the group translate', () => {
+    const node = logo.groups[0].node;
+    logo.dragRegistry = new Map();
+    logo.setupDrag(node);
+
+    node.dispatchEvent(new PointerEvent('pointerdown', { clientX: 10, clientY: 10 }));
+    window.dispatchEvent(new PointerEvent('pointermove', { clientX: 30, clientY: 15 }));
+    window.dispatchEvent(new PointerEvent('pointerup'));
+    window.dispatchEvent(new PointerEvent('pointerup'));
+
+    expect(names()).toEqual([LOGO_EVENTS.dragStart, LOGO_EVENTS.dragMove, LOGO_EVENTS.dragEnd]);
+    expect(log[1][1]).toMatchObject({ key: 'v1', node, x: 20, y: 5 });
+    logo.dragRegistry.get(node).disable();
+  });
+
+  it('emits compact changes only when the flag flips', async () => {
+    logo.applyGroupScaleTransform = () => {};
+    const start = logo.logoCompact;
+
+    await logo.setLogoCompact(start, { animate: false });
+    await logo.setLogoCompact(!start, { animate: false });
+
+    expect(log).toEqual([[LOGO_EVENTS.compact, { logo, compact: !start, animated: false }]]);
+  });
+});
@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { setTranslate } from '../scripts/logo/_animation-engine.js';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { EXPORT } from '../scripts/logo/_constants.js';
+import { matchesShortcut } from '../scripts/logo/_export.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+describe('matchesShortcut', () => {
+  const key = (init) => new KeyboardEvent('keydown', init);
+
+  it('treats mod as Ctrl or Meta and requires the exact modifier set', () => {
+    expect(matchesShortcut(key({ key: 'E', ctrlKey: true, shiftKey: true }), 'mod+shift+e')).toBe(true);
+    expect(matchesShortcut(key({ key: 'e', metaKey: true, shiftKey: true }), 'mod+shift+e')).toBe(true);
+    expect(matchesShortcut(key({ key: 'e', ctrlKey: true }), 'mod+shift+e')).toBe(false);
+    expect(matchesShortcut(key({ key: 'e', ctrlKey: true, shiftKey: true, altKey: true }), 'mod+shift+e')).toBe(false);
+    expect(matchesShortcut(key({ key: 'p', altKey: true }), 'alt+p')).toBe(true);
+  });
+});
+
+describe('InteractiveNeeedaLogo export', () => {
+  let logo;
+  let svg;
+
+  beforeEach(() => {
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.innerHTML = `
+      <defs><linearGradient id="gradA"><stop offset="0" style="stop-color: var(--neeeda--color)"/></linearGradient></defs>
+      <path id="segA" d="M0 0L10 10" stroke="url(#gradA)"/>
+      <g id="neeeda-logo">
+        <g id="v1" tabindex="0" role="button" aria-label="v1"><rect width="10" height="10"/></g>
+        <g id="v2"></g>
+        <g id="v3"></g>
+      </g>`;
+    document.body.appendChild(svg);
+
+    logo = new InteractiveNeeedaLogo();
+    logo.svgRect = () => ({ left: 0, top: 0, right: 400, bottom: 200, width: 400, height: 200 });
+  });
+
+  afterEach(() => {
+    logo.destroy();
+    svg.remove();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    resetClock();
+  });
+
+  it('serializes a standalone SVG with live transforms and no interaction attributes', () => {
+    setTranslate(logo.groups[0].node, 12, -4);
+
+    const doc = new DOMParser().parseFromString(logo.exportSvg(), 'image/svg+xml');
+    const root = doc.documentElement;
+    const v1 = doc.getElementById('v1');
+
+    expect(root.getAttribute('xmlns')).toBe(SVG_NS);
+    expect(root.getAttribute('width')).toBe('400');
+    expect(root.getAttribute('height')).toBe('200');
+    expect(v1.getAttribute('style')).toContain('translate(12px, -4px)');
+    expect(v1.hasAttribute('tabindex')).toBe(false);
+    expect(v1.hasAttribute('role')).toBe(false);
+    expect(doc.getElementById('segA').getAttribute('d')).toBe('M0 0L10 10');
+    expect(doc.getElementById('gradA')).not.toBe(null);
+    // The live SVG keeps its attributes
+    expect(logo.groups[0].node.getAttribute('tabindex')).toBe('0');
+  });
+
+  it('rasterizes through a canvas at the requested scale and revokes the object URL', async () => {
+    const drawImage = vi.fn();
+    const png = new Blob(['png'], { type: 'image/png' });
+
+    vi.stubGlobal(
+      'Image',
+      class {
+        set src(value) {
+          this.url = value;
+          queueMicrotask(() => this.onload());
+        }
+      },
+    );
+    vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:logo');
+    const revoke = vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage });
+    const toBlob = vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation((cb) => cb(png));
+
+    await expect(logo.exportPng()).resolves.toBe(png);
+    expect(toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/png');
+    expect(drawImage).toHaveBeenCalledWith(expect.anything(), 0, 0, 400 * EXPORT.scale, 200 * EXPORT.scale);
+    expect(revoke).toHaveBeenCalledWith('blob:logo');
+
+    await logo.exportPng({ width: 1000, height: 500 });
+    expect(drawImage).toHaveBeenLastCalledWith(expect.anything(), 0, 0, 1000, 500);
+  });
+
+  it('keeps the download URL alive until the browser has picked it up', async () => {
+    const clock = new ManualClock();
+    setClock(clock);
+    logo.exportPng = vi.fn(async () => new Blob(['png'], { type: 'image/png' }));
+    vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:download');
+    const revoke = vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    await logo.downloadExport();
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(revoke).not.toHaveBeenCalled();
+
+    clock.step(EXPORT.revokeMs);
+    expect(revoke).toHaveBeenCalledWith('blob:download');
+  });
+
+  it('downloads on the opt-in shortcut and detaches it on destroy', () => {
+    logo.exportShortcut = EXPORT.shortcut;
+    logo.downloadExport = vi.fn(async () => {});
+    logo.attachExportShortcut();
+
+    const press = () => {
+      const e = new KeyboardEvent('keydown', { key: 'e', ctrlKey: true, shiftKey: true, cancelable: true });
+
+      window.dispatchEvent(e);
+
+      return e;
+    };
+
+    expect(press().defaultPrevented).toBe(true);
+    expect(logo.downloadExport).toHaveBeenCalledTimes(1);
+
+    logo.destroy();
+    press();
+    expect(logo.downloadExport).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the shortcut off unless configured', () => {
+    expect(logo.exportShortcut).toBe(null);
+    expect(new InteractiveNeeedaLogo(document, { exportShortcut: 'true' }).exportShortcut).toBe(EXPORT.shortcut);
+    expect(new InteractiveNeeedaLogo(document, { exportShortcut: 'alt+p' }).exportShortcut).toBe('alt+p');
+  });
+});
@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { getTranslate } from '../scripts/logo/_animation-engine.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const markup = (ids) => `
+  <svg>
+    <defs><linearGradient id="gradA"><stop offset="0" /></linearGradient><linearGradient id="gradB"></linearGradient></defs>
+    <path id="segA" stroke="url(#gradA)" stroke-width="47"></path>
+    <path id="segB" stroke="url(#gradB)" stroke-width="47"></path>
+    <g id="neeeda-logo">
+      ${ids.map((id) => `<g id="${id}"><g id="handle-${id}"></g><g id="label-${id}"></g></g>`).join('')}
+    </g>
+  </svg>`;
+
+describe('Any number of logo groups', () => {
+  let logo;
+
+  // Groups are 40×20 boxes stacked at (100·N, 100) + translate inside an 800×600 SVG
+  const mockRects = () => {
+    for (const [i, { node, handle }] of logo.groups.entries()) {
+      const rect = () => {
+        const { x, y } = getTranslate(node);
+        const left = 100 * (i + 1) - 20 + x;
+        const top = 90 + y;
+
+        return { left, top, width: 40, height: 20, right: left + 40, bottom: top + 20 };
+      };
+
+      node.getBoundingClientRect = rect;
+      handle.getBoundingClientRect = rect;
+    }
+
+    Object.assign(logo, {
+      svgRect: () => ({ left: 0, top: 0, right: 800, bottom: 600, width: 800, height: 600 }),
+      halfStrokePx: () => 0,
+      screenToSvg: (x, y) => ({ x, y }),
+      isMobile: () => false,
+    });
+  };
+
+  afterEach(() => {
+    logo?.destroy();
+    document.body.innerHTML = '';
+  });
+
+  describe('with four groups', () => {
+    beforeEach(() => {
+      document.body.innerHTML = markup(['v2', 'v10', 'v1', 'v3']);
+      logo = new InteractiveNeeedaLogo();
+      mockRects();
+    });
+
+    it('discovers the vN groups in numeric order with their handles and labels', () => {
+      expect(logo.groupKeys()).toEqual(['v1', 'v2', 'v3', 'v10']);
+      expect(logo.groups[3].handle.id).toBe('handle-v10');
+      expect(logo.groups[3].label.id).toBe('label-v10');
+      expect(logo.trails).toHaveLength(3);
+    });
+
+    it('clones the missing segments and gradients, and removes them on destroy', () => {
+      logo.ensureTrailSegments();
+      logo.applyTrailStrokeWidth();
+      logo.updateTrail();
+
+      const segC = document.getElementById('segC');
+      const gradC = document.getElementById('gradC');
+
+      expect(segC.getAttribute('stroke')).toBe('url(#gradC)');
+      expect(segC.previousElementSibling.id).toBe('segB');
+      expect(gradC.previousElementSibling.id).toBe('gradB');
+      expect(segC.getAttribute('d')).toBe('M 300 110 L 400 110');
+      expect(['x1', 'x2'].map((n) => gradC.getAttribute(n))).toEqual(['300', '400']);
+
+      logo.destroy();
+
+      expect(document.getElementById('segC')).toBe(null);
+      expect(document.getElementById('gradC')).toBe(null);
+    });
+
+    it('lays the extra groups out in anchors and poses', () => {
+      expect(logo.anchorTargetsPx()).toEqual({
+        v1: [44, 566],
+        v2: [756, 566],
+        v3: [756, 300],
+        v10: [756, 34],
+      });
+
+      // Groups a pose does not mention keep their place
+      expect(Object.keys(logo.poseTargetsPx({ v1: [0.5, 0.5], v2: [0.2, 0.2] }))).toEqual(['v1', 'v2']);
+    });
+
+    it('requires custom pose scripts to place every group', () => {
+      const pose = { v1: [0.1, 0.1], v2: [0.2, 0.2], v3: [0.3, 0.3] };
+      const warn = console.warn;
+
+      console.warn = () => {};
+      expect(logo.setChoreography([{ pose }, { type: 'anchors' }])).toEqual([
+        'steps[0].pose.v10 must be [x, y] percentages in [0, 1]',
+      ]);
+      console.warn = warn;
+    });
+
+    it('packs every group side by side', () => {
+      logo.packGroups = InteractiveNeeedaLogo.prototype.packGroups;
+      logo.flushLayout = () => {};
+      logo.packGroups();
+
+      const lefts = logo.groups.map(({ node }) => node.getBoundingClientRect().left);
+
+      expect(lefts).toEqual([320, 360, 400, 440]);
+    });
+  });
+
+  it('hides the markup segments beyond the last of two groups', () => {
+    document.body.innerHTML = markup(['v1', 'v2']);
+    logo = new InteractiveNeeedaLogo();
+    mockRects();
+    logo.ensureTrailSegments();
+
+    expect(logo.trails).toHaveLength(1);
+    expect(document.getElementById('segB').getAttribute('display')).toBe('none');
+
+    logo.destroy();
+    expect(document.getElementById('segB').hasAttribute('display')).toBe(false);
+  });
+
+  it('only discovers the groups of its own logo when two logos share the page', () => {
+    document.body.innerHTML = `${markup(['v1', 'v2', 'v3'])}${markup(['v1', 'v2', 'v3', 'v4'])}`;
+    logo = new InteractiveNeeedaLogo();
+    mockRects();
+
+    const [first] = document.querySelectorAll('svg');
+
+    expect(logo.groupKeys()).toEqual(['v1', 'v2', 'v3']);
+    expect(logo.groups.every(({ node }) => first.contains(node))).toBe(true);
+
+    logo.ensureTrailSegments();
+    expect(logo.trails).toHaveLength(2);
+    expect(document.getElementById('segC')).toBe(null);
+  });
+});
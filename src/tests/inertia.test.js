@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cancelTranslate, getTranslate, setTranslate } from '../scripts/logo/_animation-engine.js';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { INERTIA } from '../scripts/logo/_constants.js';
+import { createVelocityTracker } from '../scripts/logo/_inertia.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('createVelocityTracker', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = new ManualClock();
+    setClock(clock);
+  });
+
+  afterEach(() => resetClock());
+
+  it('measures px/s over the recent samples only', () => {
+    const tracker = createVelocityTracker(100);
+
+    tracker.push(0, 0);
+    clock.step(200);
+    tracker.push(500, 0);
+    expect(tracker.velocity()).toEqual({ x: 0, y: 0 });
+
+    clock.step(50);
+    tracker.push(550, -25);
+    expect(tracker.velocity()).toEqual({ x: 1000, y: -500 });
+
+    tracker.reset();
+    expect(tracker.velocity()).toEqual({ x: 0, y: 0 });
+  });
+
+  it('reads zero after a flick followed by a hold (no glide on release)', () => {
+    const tracker = createVelocityTracker(100);
+
+    tracker.push(0, 0);
+    clock.step(16);
+    tracker.push(20, 0);
+    expect(tracker.velocity().x).toBeGreaterThan(1000);
+
+    // Finger held still: pointermove stops firing, the flick samples go stale
+    clock.step(1000);
+    expect(tracker.velocity()).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('InteractiveNeeedaLogo inertia', () => {
+  const { startInertia, bounceOffBounds } = InteractiveNeeedaLogo.prototype;
+  let clock;
+  let node;
+  let ctx;
+
+  beforeEach(() => {
+    clock = new ManualClock();
+    setClock(clock);
+    node = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+
+    // Translate-space box: the group may move within x ∈ [-200, 200], y ∈ [-100, 100]
+    ctx = {
+      dragInertia: true,
+      updateTrail: vi.fn(),
+      resolveCollisions: () => ({ dx: 0, dy: 0 }),
+      boundsOverflow(el) {
+        const { x, y } = getTranslate(el);
+        const over = (v, max) => (v > max ? max - v : v < -max ? -max - v : 0);
+
+        return { dx: over(x, 200), dy: over(y, 100) };
+      },
+      bounceOffBounds,
+      startInertia,
+    };
+  });
+
+  afterEach(() => {
+    cancelTranslate(node);
+    resetClock();
+  });
+
+  it('glides in the release direction, decays and stops', async () => {
+    const handle = ctx.startInertia(node, 300, 0);
+
+    clock.step();
+    const early = getTranslate(node).x;
+
+    expect(early).toBeGreaterThan(0);
+    expect(ctx.updateTrail).toHaveBeenCalled();
+
+    await clock.advance(2000);
+    await handle.promise;
+
+    const rest = getTranslate(node).x;
+
+    // Exponential friction: total travel stays below v0 / friction
+    expect(rest).toBeGreaterThan(early);
+    expect(rest).toBeLessThan(300 / INERTIA.friction);
+    expect(clock.pendingFrames()).toBe(0);
+  });
+
+  it('bounces off the bounds with damped, reflected velocity', () => {
+    setTranslate(node, 195, 0);
+    const handle = ctx.startInertia(node, 1200, 0);
+
+    clock.step();
+
+    expect(getTranslate(node).x).toBeLessThanOrEqual(200);
+    expect(handle.velocity.x).toBeLessThan(0);
+    expect(Math.abs(handle.velocity.x)).toBeLessThan(1200 * INERTIA.restitution);
+  });
+
+  it('stops gliding when the group is grabbed again', () => {
+    const handle = ctx.startInertia(node, 800, 400);
+
+    clock.step();
+    cancelTranslate(node);
+
+    const held = getTranslate(node);
+
+    clock.step();
+    clock.step();
+
+    expect(getTranslate(node)).toEqual(held);
+    return expect(handle.promise).resolves.toBeUndefined();
+  });
+
+  it('ignores slow releases and respects the opt-out', () => {
+    expect(ctx.startInertia(node, INERTIA.minSpeed / 2, 0)).toBe(null);
+
+    ctx.dragInertia = false;
+    expect(ctx.startInertia(node, 1000, 0)).toBe(null);
+    expect(clock.pendingFrames()).toBe(0);
+  });
+
+  it('reads data-logo-inertia from the config element', () => {
+    document.body.setAttribute('data-logo-inertia', 'false');
+    expect(new InteractiveNeeedaLogo().dragInertia).toBe(false);
+
+    document.body.removeAttribute('data-logo-inertia');
+    expect(new InteractiveNeeedaLogo().dragInertia).toBe(true);
+  });
+});
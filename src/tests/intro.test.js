@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { INTRO, PRELOADER_SCRIPT } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('Intro skip & first-visit mode', () => {
+  let clock;
+
+  beforeEach(() => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const logo = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    logo.id = 'neeeda-logo';
+    for (const id of ['v1', 'v2', 'v3']) {
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.id = id;
+      logo.appendChild(g);
+    }
+    svg.appendChild(logo);
+    document.body.appendChild(svg);
+
+    clock = new ManualClock();
+    setClock(clock);
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    resetClock();
+    document.body.innerHTML = '';
+    document.body.className = '';
+    for (const attr of ['data-logo-intro', 'data-logo-intro-skip', 'data-logo-compact']) {
+      document.body.removeAttribute(attr);
+    }
+    localStorage.clear();
+  });
+
+  /** Controller with the DOM-measuring steps stubbed out. */
+  const makeLogo = (root) => {
+    const logo = new InteractiveNeeedaLogo(root);
+    Object.assign(logo, {
+      waitForViewportStability: async () => {},
+      fadeInIfNeeded: async () => {},
+      prefersReducedMotion: () => false,
+      updateTrail: () => {},
+      snapToAnchors: vi.fn(),
+    });
+    return logo;
+  };
+
+  it('Escape during the intro stops the timeline and lands on the anchors', async () => {
+    const logo = makeLogo();
+    const midway = vi.fn();
+    window.addEventListener('logo:midway', midway);
+    const done = logo.runPreloader();
+
+    await clock.advance(300);
+    expect(logo.preloaderTimeline.paused).toBe(false);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    await done;
+
+    expect(logo.introSkipped).toBe(true);
+    expect(logo.preloaderTimeline.paused).toBe(true);
+    expect(logo.preloaderTimeline.time).toBeLessThan(logo.preloaderTimeline.duration());
+    expect(logo.snapToAnchors).toHaveBeenCalledTimes(1);
+    expect(logo.introSkipHandlers).toBe(null);
+    expect(document.body.classList.contains('loader-done')).toBe(true);
+    expect(localStorage.getItem(INTRO.storageKey)).toBe('true');
+    // Content injected on logo:midway must still load after a skip
+    expect(midway).toHaveBeenCalledTimes(1);
+    window.removeEventListener('logo:midway', midway);
+  });
+
+  it('a tap before the timeline starts skips it entirely', async () => {
+    const logo = makeLogo();
+    logo.fadeInIfNeeded = async () => {
+      logo.svg.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    };
+
+    await logo.runPreloader();
+
+    expect(logo.preloaderTimeline).toBe(null);
+    expect(logo.snapToAnchors).toHaveBeenCalledTimes(1);
+  });
+
+  it('a tap only skips the intro of the logo it lands on', async () => {
+    const other = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    other.innerHTML = '<g id="neeeda-logo"><g id="v1"></g><g id="v2"></g><g id="v3"></g></g>';
+    document.body.appendChild(other);
+
+    const first = makeLogo();
+    const second = makeLogo(other);
+    first.runPreloader();
+    second.runPreloader();
+    await clock.advance(100);
+
+    document.body.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    expect(first.introSkipped).toBe(false);
+    expect(second.introSkipped).toBe(false);
+
+    other.querySelector('#v2').dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    expect(first.introSkipped).toBe(false);
+    expect(second.introSkipped).toBe(true);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(first.introSkipped).toBe(true);
+
+    first.destroy();
+    second.destroy();
+  });
+
+  it('data-logo-intro-skip="false" ignores the gesture', async () => {
+    document.body.setAttribute('data-logo-intro-skip', 'false');
+    const logo = makeLogo();
+
+    logo.runPreloader();
+    await clock.advance(100);
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(logo.introSkipped).toBe(false);
+    expect(logo.preloaderTimeline.paused).toBe(false);
+    logo.preloaderTimeline.kill();
+  });
+
+  it('first-visit mode plays the full script once, then only the anchors step', () => {
+    document.body.setAttribute('data-logo-intro', 'first-visit');
+    const logo = makeLogo();
+
+    expect(logo.introScript()).toBe(PRELOADER_SCRIPT);
+
+    logo.writeIntroSeen();
+    const short = logo.introScript();
+
+    expect(short.steps).toHaveLength(1);
+    expect(short.steps[0]).toMatchObject({ type: 'anchors', dur: INTRO.shortDur, hold: 0, reveal: 0 });
+  });
+});
@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { getTranslate } from '../scripts/logo/_animation-engine.js';
+import { KEYBOARD, LOGO_EVENTS } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('Keyboard nudging', () => {
+  let logo;
+  let v1;
+  let off;
+  let moves;
+
+  const press = (key, init = {}) => {
+    const e = new KeyboardEvent('keydown', { key, cancelable: true, ...init });
+
+    v1.dispatchEvent(e);
+
+    return e;
+  };
+
+  beforeEach(() => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const root = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    root.id = 'neeeda-logo';
+    for (const id of ['v1', 'v2', 'v3']) {
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.id = id;
+      root.appendChild(g);
+    }
+    svg.appendChild(root);
+    document.body.appendChild(svg);
+
+    logo = new InteractiveNeeedaLogo(document, { drag: true });
+    v1 = logo.groups[0].node;
+
+    // 20px group centered at (100, 100) + translate, inside an 800×600 SVG
+    v1.getBoundingClientRect = () => {
+      const { x, y } = getTranslate(v1);
+
+      return { left: 90 + x, top: 90 + y, width: 20, height: 20, right: 110 + x, bottom: 110 + y };
+    };
+    logo.baseCenters.set(v1, { x: 100, y: 100 });
+    Object.assign(logo, {
+      updateTrail: () => {},
+      svgRect: () => ({ left: 0, top: 0, right: 800, bottom: 600, width: 800, height: 600 }),
+      isMobile: () => false,
+      anchorTargetsPx: () => ({ v1: [100, 100], v2: [400, 300], v3: [700, 300] }),
+    });
+
+    for (const { node } of logo.groups) logo.setupDrag(node);
+
+    moves = [];
+    off = logo.on(LOGO_EVENTS.dragMove, (detail) => moves.push(detail));
+  });
+
+  afterEach(() => {
+    off();
+    logo.destroy();
+    document.body.innerHTML = '';
+  });
+
+  it('makes the groups focusable while drag is enabled', () => {
+    expect(v1.getAttribute('tabindex')).toBe('0');
+    expect(v1.getAttribute('aria-label')).toMatch(/^Logo part 1/);
+
+    // Temporary disable (intro, layout tween) keeps focus; opting out removes it
+    logo.setDragEnabled(false);
+    expect(v1.getAttribute('tabindex')).toBe('0');
+
+    logo.dragOptIn = false;
+    logo.setDragEnabled(false);
+    expect(v1.hasAttribute('tabindex')).toBe(false);
+    expect(press('ArrowRight').defaultPrevented).toBe(false);
+  });
+
+  it('nudges with the arrow keys, Shift for larger steps', () => {
+    expect(press('ArrowRight').defaultPrevented).toBe(true);
+    press('ArrowDown', { shiftKey: true });
+
+    expect(getTranslate(v1)).toMatchObject({ x: KEYBOARD.step, y: KEYBOARD.bigStep });
+    expect(moves).toHaveLength(2);
+    expect(press('a').defaultPrevented).toBe(false);
+  });
+
+  it('fires drag-start, drag-move and drag-end around each nudge', () => {
+    const log = [];
+    const offs = [LOGO_EVENTS.dragStart, LOGO_EVENTS.dragMove, LOGO_EVENTS.dragEnd].map((name) =>
+      logo.on(name, (detail) => log.push({ name, ...detail }))
+    );
+
+    press('ArrowRight');
+    press('Home');
+    for (const f of offs) f();
+
+    expect(log.map((e) => e.name)).toEqual([
+      LOGO_EVENTS.dragStart,
+      LOGO_EVENTS.dragMove,
+      LOGO_EVENTS.dragEnd,
+      LOGO_EVENTS.dragStart,
+      LOGO_EVENTS.dragMove,
+      LOGO_EVENTS.dragEnd,
+    ]);
+    expect(log[2]).toMatchObject({ key: 'v1', node: v1, x: KEYBOARD.step, y: 0 });
+    expect(log[5]).toMatchObject({ key: 'v1', node: v1, x: 0, y: 0 });
+  });
+
+  it('stays inside the safe area like a pointer drag', () => {
+    press('ArrowLeft', { shiftKey: true });
+    press('ArrowLeft', { shiftKey: true });
+    press('ArrowLeft', { shiftKey: true });
+
+    const box = v1.getBoundingClientRect();
+
+    expect(box.left).toBeGreaterThanOrEqual(logo.safeBounds().minLeft);
+  });
+
+  it('returns to the anchor on Home and announces positions', () => {
+    press('ArrowRight', { shiftKey: true });
+
+    const live = document.querySelector('[data-logo-live]');
+
+    expect(live.getAttribute('aria-live')).toBe('polite');
+    expect(live.textContent).toBe('Logo part 1: 18% from left, 17% from top');
+
+    press('Home');
+    expect(getTranslate(v1)).toMatchObject({ x: 0, y: 0 });
+    expect(live.textContent).toBe('Logo part 1: 13% from left, 17% from top');
+  });
+
+  it('removes the live region on destroy', () => {
+    press('ArrowUp');
+    logo.destroy();
+
+    expect(document.querySelector('[data-logo-live]')).toBe(null);
+    expect(v1.hasAttribute('tabindex')).toBe(false);
+  });
+});
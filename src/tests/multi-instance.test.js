@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { RadialBox } from '../scripts/_radial-box.js';
+import { getTranslate } from '../scripts/logo/_animation-engine.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const NS = 'http://www.w3.org/2000/svg';
+
+/** Same markup (same ids) as src/assets/logo.svg, reduced to what the controller reads. */
+const mountSvg = (parent) => {
+  const svg = document.createElementNS(NS, 'svg');
+  const defs = document.createElementNS(NS, 'defs');
+  for (const id of ['gradA', 'gradB']) {
+    const grad = document.createElementNS(NS, 'linearGradient');
+    grad.id = id;
+    defs.appendChild(grad);
+  }
+  svg.appendChild(defs);
+  for (const [id, grad] of [
+    ['segA', 'gradA'],
+    ['segB', 'gradB'],
+  ]) {
+    const path = document.createElementNS(NS, 'path');
+    path.id = id;
+    path.setAttribute('stroke', `url(#${grad})`);
+    svg.appendChild(path);
+  }
+  const logo = document.createElementNS(NS, 'g');
+  logo.id = 'neeeda-logo';
+  for (const id of ['v1', 'v2', 'v3']) {
+    const g = document.createElementNS(NS, 'g');
+    g.id = id;
+    const handle = document.createElementNS(NS, 'rect');
+    handle.id = `handle-${id}`;
+    g.appendChild(handle);
+    logo.appendChild(g);
+  }
+  svg.appendChild(logo);
+  svg.createSVGPoint = () => ({ x: 0, y: 0, matrixTransform: () => ({ x: 0, y: 0 }) });
+  svg.getScreenCTM = () => ({ inverse: () => ({ e: 0, f: 0 }) });
+  parent.appendChild(svg);
+  return svg;
+};
+
+describe('Multiple logo instances', () => {
+  let hero;
+  let footer;
+
+  beforeEach(() => {
+    hero = document.createElement('header');
+    footer = document.createElement('footer');
+    document.body.append(hero, footer);
+    mountSvg(hero);
+    mountSvg(footer);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    document.body.removeAttribute('data-logo-compact');
+    document.body.removeAttribute('data-logo-intro');
+  });
+
+  it('scopes every lookup to its root', () => {
+    const a = new InteractiveNeeedaLogo(hero);
+    const b = new InteractiveNeeedaLogo(footer.querySelector('svg'));
+
+    expect(a.svg.parentNode).toBe(hero);
+    expect(b.svg.parentNode).toBe(footer);
+    expect(hero.contains(a.groups[2].handle)).toBe(true);
+    expect(footer.contains(b.trailB)).toBe(true);
+    expect(a.instanceId).not.toBe(b.instanceId);
+  });
+
+  it('gives each scoped instance its own gradient ids', () => {
+    const a = new InteractiveNeeedaLogo(hero);
+    const b = new InteractiveNeeedaLogo(footer);
+    a.scopeGradientIds();
+    b.scopeGradientIds();
+    a.scopeGradientIds();
+
+    expect(a.gradientA.id).toBe(`gradA-${a.instanceId}`);
+    expect(a.trailA.getAttribute('stroke')).toBe(`url(#gradA-${a.instanceId})`);
+    expect(b.trailB.getAttribute('stroke')).toBe(`url(#gradB-${b.instanceId})`);
+    expect(document.querySelectorAll(`#${a.gradientB.id}`)).toHaveLength(1);
+  });
+
+  it('drags only the groups of its own instance', () => {
+    const a = new InteractiveNeeedaLogo(hero);
+    const b = new InteractiveNeeedaLogo(footer);
+    a.clampGroupBox = () => {};
+    a.setupDrag(a.groups[0].node);
+    b.setupDrag(b.groups[0].node);
+
+    a.groups[0].node.dispatchEvent(new PointerEvent('pointerdown', { clientX: 0, clientY: 0 }));
+    window.dispatchEvent(new PointerEvent('pointermove', { clientX: 15, clientY: 5 }));
+    window.dispatchEvent(new PointerEvent('pointerup'));
+
+    expect(getTranslate(a.groups[0].node)).toEqual({ x: 15, y: 5 });
+    expect(getTranslate(b.groups[0].node)).toEqual({ x: 0, y: 0 });
+    a.destroy();
+    b.destroy();
+  });
+
+  it('reads data-logo-* options from the root before <body>', () => {
+    document.body.setAttribute('data-logo-intro', 'short');
+    footer.setAttribute('data-logo-intro', 'first-visit');
+
+    expect(new InteractiveNeeedaLogo(hero).introMode).toBe('short');
+    expect(new InteractiveNeeedaLogo(footer).introMode).toBe('first-visit');
+  });
+
+  it('RadialBox sizes the container it is given', () => {
+    const first = document.createElement('section');
+    const second = document.createElement('section');
+    first.setAttribute('data-radial', '');
+    second.setAttribute('data-radial', '');
+    document.body.append(first, second);
+
+    new RadialBox(second);
+
+    expect(second.style.getPropertyValue('--center-base')).not.toBe('');
+    expect(first.style.getPropertyValue('--center-base')).toBe('');
+  });
+});
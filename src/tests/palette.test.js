@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { PALETTE } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+describe('Trail palette', () => {
+  let logo;
+  let svg;
+
+  const stopColors = (id) =>
+    [...svg.querySelectorAll(`#${id} stop`)].map((stop) => stop.style.getPropertyValue('stop-color'));
+
+  beforeEach(() => {
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.innerHTML = `
+      <defs>
+        <linearGradient id="gradA">
+          <stop offset="0%" stop-color="#f99b35"/><stop offset="100%" stop-color="#fc67b2"/>
+        </linearGradient>
+        <linearGradient id="gradB">
+          <stop offset="0%" stop-color="#fc67b2"/><stop offset="100%" stop-color="#8b97ea"/>
+        </linearGradient>
+      </defs>
+      <path id="segA" stroke="url(#gradA)"/>
+      <path id="segB" stroke="url(#gradB)"/>
+      <g id="neeeda-logo"><g id="v1"></g><g id="v2"></g><g id="v3"></g></g>`;
+    document.body.appendChild(svg);
+
+    logo = new InteractiveNeeedaLogo();
+  });
+
+  afterEach(() => {
+    logo.destroy();
+    svg.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('binds each segment to consecutive palette stops, keeping the markup color as fallback', () => {
+    logo.bindTrailPalette();
+
+    expect(stopColors('gradA')).toEqual([
+      `var(${PALETTE.varPrefix}1, #f99b35)`,
+      `var(${PALETTE.varPrefix}2, #fc67b2)`,
+    ]);
+    expect(stopColors('gradB')).toEqual([
+      `var(${PALETTE.varPrefix}2, #fc67b2)`,
+      `var(${PALETTE.varPrefix}3, #8b97ea)`,
+    ]);
+  });
+
+  it('switches named palettes on the svg and ignores unknown names', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    logo.setTrailPalette('ocean');
+    expect(svg.getAttribute('data-logo-palette')).toBe('ocean');
+
+    logo.setTrailPalette('neon');
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(logo.trailPalette).toBe('ocean');
+
+    logo.setTrailPalette(null);
+    expect(svg.hasAttribute('data-logo-palette')).toBe(false);
+  });
+
+  it('re-binds on color scheme changes until destroyed, then restores the stops', () => {
+    logo.attachPalette();
+    document.dispatchEvent(new CustomEvent(PALETTE.themeEvent, { detail: { scheme: 'light' } }));
+
+    expect(stopColors('gradA')[0]).toBe(`var(${PALETTE.varPrefix}1, #f99b35)`);
+
+    const bind = vi.spyOn(logo, 'bindTrailPalette');
+
+    logo.destroy();
+    document.dispatchEvent(new CustomEvent(PALETTE.themeEvent, { detail: { scheme: 'dark' } }));
+
+    expect(bind).not.toHaveBeenCalled();
+    expect(stopColors('gradA')).toEqual(['', '']);
+  });
+});
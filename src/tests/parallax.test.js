@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getTranslate, setTranslate } from '../scripts/logo/_animation-engine.js';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { PARALLAX } from '../scripts/logo/_constants.js';
+import { pointerInput, tiltInput } from '../scripts/logo/_parallax.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('parallax input', () => {
+  it('normalizes the cursor from the viewport center', () => {
+    expect(pointerInput(500, 250, 1000, 500)).toEqual({ x: 0, y: 0 });
+    expect(pointerInput(0, 500, 1000, 500)).toEqual({ x: -1, y: 1 });
+    expect(pointerInput(2000, -10, 1000, 500)).toEqual({ x: 1, y: -1 });
+  });
+
+  it('maps tilt around the resting hold and clamps it', () => {
+    expect(tiltInput(PARALLAX.restBeta, 0)).toEqual({ x: 0, y: 0 });
+    expect(tiltInput(PARALLAX.restBeta + PARALLAX.tiltRange / 2, -PARALLAX.tiltRange)).toEqual({ x: -1, y: 0.5 });
+    expect(tiltInput(null, 90)).toEqual({ x: 1, y: 0 });
+  });
+});
+
+describe('InteractiveNeeedaLogo parallax', () => {
+  let clock;
+  let logo;
+  let svg;
+
+  const move = (clientX, clientY) =>
+    window.dispatchEvent(new PointerEvent('pointermove', { clientX, clientY, pointerType: 'mouse' }));
+
+  const settle = () => {
+    for (let i = 0; i < 200; i++) clock.step();
+  };
+
+  const offsets = () => logo.groups.map(({ node }) => node.style.getPropertyValue('translate'));
+
+  beforeEach(() => {
+    clock = new ManualClock();
+    setClock(clock);
+
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = '<g id="neeeda-logo"><g id="v1"></g><g id="v2"></g><g id="v3"></g></g>';
+    document.body.appendChild(svg);
+    document.body.classList.add('loader-done');
+
+    logo = new InteractiveNeeedaLogo(document, { parallax: true, reducedMotion: false });
+    logo.updateTrail = vi.fn();
+    logo.attachParallax();
+  });
+
+  afterEach(() => {
+    logo.destroy();
+    svg.remove();
+    document.body.classList.remove('loader-done');
+    resetClock();
+  });
+
+  it('eases each group towards the cursor offset scaled by its depth', () => {
+    move(window.innerWidth, window.innerHeight / 2);
+    clock.step();
+
+    const first = Number.parseFloat(offsets()[0]);
+
+    expect(first).toBeGreaterThan(0);
+    expect(first).toBeLessThan(PARALLAX.maxOffset * PARALLAX.depths[0]);
+
+    settle();
+
+    expect(offsets()).toEqual(PARALLAX.depths.map((d) => `${(PARALLAX.maxOffset * d).toFixed(2)}px 0.00px`));
+    expect(logo.updateTrail).toHaveBeenCalled();
+  });
+
+  it('leaves the translate store used by drag and tweens untouched', () => {
+    const node = logo.groups[1].node;
+
+    setTranslate(node, 40, -10);
+    move(0, 0);
+    settle();
+
+    expect(getTranslate(node)).toEqual({ x: 40, y: -10 });
+    expect(node.style.transform).toBe('translate(40px, -10px)');
+    expect(node.style.getPropertyValue('translate')).not.toBe('');
+  });
+
+  it('uses the configured depths and keeps dragged groups where they are', () => {
+    logo.parallaxDepths = [0, 2];
+    logo.dragPointers.set(1, { node: logo.groups[0].node });
+
+    move(window.innerWidth, window.innerHeight);
+    settle();
+
+    const k = PARALLAX.maxOffset * 2;
+
+    expect(offsets()).toEqual(['', `${k.toFixed(2)}px ${k.toFixed(2)}px`, `${k.toFixed(2)}px ${k.toFixed(2)}px`]);
+  });
+
+  it('ignores input under reduced motion and before the intro ends', () => {
+    logo.reducedMotion = true;
+    move(0, 0);
+    settle();
+    expect(offsets()).toEqual(['', '', '']);
+
+    logo.reducedMotion = false;
+    document.body.classList.remove('loader-done');
+    move(0, 0);
+    settle();
+    expect(offsets()).toEqual(['', '', '']);
+  });
+
+  it('switches off at runtime and resets the offsets', () => {
+    move(0, 0);
+    settle();
+
+    logo.setParallax(false);
+    expect(offsets()).toEqual(['', '', '']);
+
+    move(window.innerWidth, 0);
+    settle();
+    expect(offsets()).toEqual(['', '', '']);
+  });
+
+  it('keeps the parallax offset out of positions written to the translate store', () => {
+    // 20px groups at (100, 100) + translate + parallax offset, as the browser measures them
+    const [node] = logo.groups.map((g) => g.node);
+    node.getBoundingClientRect = () => {
+      const { x, y } = getTranslate(node);
+      const [px, py] = node.style.getPropertyValue('translate').split(' ').map(Number.parseFloat);
+      const left = 90 + x + (px || 0);
+      const top = 90 + y + (py || 0);
+
+      return { left, top, width: 20, height: 20, right: left + 20, bottom: top + 20 };
+    };
+    logo.clampGroupBox = vi.fn();
+
+    move(window.innerWidth, window.innerHeight);
+    settle();
+    expect(node.style.getPropertyValue('translate')).not.toBe('');
+
+    // A resize / snap repositions the group while the offset is applied
+    logo.moveGroupsTo({ v1: [300, 200] });
+    expect(getTranslate(node)).toEqual({ x: 200, y: 100 });
+
+    logo.resetParallax();
+    expect(logo.centerOf(node)).toEqual({ x: 300, y: 200 });
+  });
+});
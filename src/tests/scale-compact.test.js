@@ -1,6 +1,21 @@
-import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getTranslate } from '../scripts/logo/_animation-engine.js';
+import { GROUP_SCALE } from '../scripts/logo/_constants.js';
+import { fluidScale } from '../scripts/logo/_scale.js';
 import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
 
+describe('fluidScale', () => {
+  it('interpolates between the endpoints over the viewport width range', () => {
+    const { minScale, maxScale, minWidth, maxWidth } = GROUP_SCALE;
+
+    expect(fluidScale(320)).toBe(minScale);
+    expect(fluidScale(minWidth)).toBe(minScale);
+    expect(fluidScale((minWidth + maxWidth) / 2)).toBe((minScale + maxScale) / 2);
+    expect(fluidScale(maxWidth)).toBe(maxScale);
+    expect(fluidScale(1920)).toBe(maxScale);
+  });
+});
+
 describe('Scale & Compact mixins', () => {
   let container;
   beforeEach(() => {
@@ -70,6 +85,83 @@ describe('Scale & Compact mixins', () => {
     expect(document.getElementById('segA').getAttribute('stroke-width')).toBe(String(app.MIN_TRAIL_SW));
   });
 
+  it('fluid mode scales with the viewport and interpolates the stroke width', () => {
+    const { minWidth, maxWidth } = GROUP_SCALE;
+    const width = vi.spyOn(window, 'innerWidth', 'get').mockReturnValue((minWidth + maxWidth) / 2);
+    const app = new InteractiveNeeedaLogo(document, { scale: 'fluid' });
+    const g1 = document.getElementById('v1');
+
+    app.updateTrail = () => {};
+    app.syncFluidScale();
+
+    expect(g1.style.transform).toMatch(/scale\(0\.75\)/);
+    expect(app.currentGroupScale).toBe(0.75);
+    expect(document.getElementById('segB').getAttribute('stroke-width')).toBe(
+      String((app.MIN_TRAIL_SW + app.MAX_TRAIL_SW) / 2),
+    );
+
+    width.mockReturnValue(maxWidth);
+    app.syncFluidScale();
+    expect(app.currentGroupScale).toBe(1);
+
+    width.mockRestore();
+  });
+
+  it('setLogoCompact targets the preset endpoints without leaving fluid mode', async () => {
+    const app = new InteractiveNeeedaLogo(document, { scale: 'fluid' });
+
+    await app.setLogoCompact(true, { animate: false });
+
+    expect(app.scaleMode).toBe('fluid');
+    expect(app.currentGroupScale).toBe(GROUP_SCALE.minScale);
+    expect(document.getElementById('segA').getAttribute('stroke-width')).toBe(String(app.MIN_TRAIL_SW));
+
+    const { minWidth, maxWidth } = GROUP_SCALE;
+    const width = vi.spyOn(window, 'innerWidth', 'get').mockReturnValue((minWidth + maxWidth) / 2);
+
+    app.syncFluidScale();
+    expect(app.currentGroupScale).toBe(0.75);
+
+    width.mockRestore();
+  });
+
+  it('setScaleMode switches between steps and fluid', () => {
+    const { minWidth, maxWidth } = GROUP_SCALE;
+    const width = vi.spyOn(window, 'innerWidth', 'get').mockReturnValue((minWidth + maxWidth) / 2);
+    const app = new InteractiveNeeedaLogo();
+
+    app.setScaleMode('fluid');
+    expect(app.scaleMode).toBe('fluid');
+    expect(app.currentGroupScale).toBe(0.75);
+
+    app.setScaleMode('bogus');
+    expect(app.scaleMode).toBe('fluid');
+
+    app.setScaleMode('steps');
+    expect(app.currentGroupScale).toBe(GROUP_SCALE.maxScale);
+    expect(document.getElementById('segA').getAttribute('stroke-width')).toBe(String(app.MAX_TRAIL_SW));
+
+    width.mockRestore();
+  });
+
+  it('keeps the translate store in sync with the center compensation', () => {
+    const app = new InteractiveNeeedaLogo();
+    const g1 = document.getElementById('v1');
+
+    // Box shrinks around its top-left corner: the compensation must move the translate
+    g1.getBoundingClientRect = () => {
+      const s = /scale\(([0-9.]+)\)/.exec(g1.style.transform)?.[1] ?? 1;
+      const { x, y } = getTranslate(g1);
+
+      return { left: x, top: y, width: 100 * s, height: 64 * s };
+    };
+    app.logoCompact = true;
+    app.applyGroupScaleTransform();
+
+    expect(getTranslate(g1)).toEqual({ x: 25, y: 16 });
+    expect(g1.style.transform).toBe('translate(25px, 16px) scale(0.5)');
+  });
+
   it('setLogoCompact toggles scale and preserves transform', async () => {
     const app = new InteractiveNeeedaLogo();
     const g1 = document.getElementById('v1');
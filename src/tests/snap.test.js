@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { forgetTranslate, getTranslate, setTranslate } from '../scripts/logo/_animation-engine.js';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { SNAP } from '../scripts/logo/_constants.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('InteractiveNeeedaLogo snap-back', () => {
+  const proto = InteractiveNeeedaLogo.prototype;
+  let clock;
+  let node;
+  let ctx;
+
+  beforeEach(() => {
+    clock = new ManualClock();
+    setClock(clock);
+
+    // 20px group centered at (100, 100) + translate
+    node = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    node.id = 'v1';
+    node.getBoundingClientRect = () => {
+      const { x, y } = getTranslate(node);
+
+      return { left: 90 + x, top: 90 + y, width: 20, height: 20, right: 110 + x, bottom: 110 + y };
+    };
+
+    ctx = Object.assign(Object.create(proto), {
+      groups: [{ node }],
+      baseCenters: new Map([[node, { x: 100, y: 100 }]]),
+      snapMode: 'both',
+      snapIdleMs: 1000,
+      snapTimers: new Map(),
+      snapTokens: new Map(),
+      destroyed: false,
+      updateTrail: vi.fn(),
+      anchorTargetsPx: () => ({ v1: [100, 100] }),
+      poseTargetsPx: (pose) => ({ v1: pose === proto.constructor.POSE3 ? [300, 100] : [500, 500] }),
+    });
+  });
+
+  afterEach(() => {
+    forgetTranslate(node);
+    resetClock();
+  });
+
+  const center = () => ctx.centerOf(node);
+
+  it('lists the anchor and the POSE3 / POSE4 spots as candidates', () => {
+    expect(ctx.snapTargetsPx('v1')).toEqual([
+      [100, 100],
+      [300, 100],
+      [500, 500],
+    ]);
+  });
+
+  it('magnetically snaps to the nearest candidate within the radius', async () => {
+    ctx.snapMode = 'magnet';
+    setTranslate(node, 180, 20); // center (280, 120): POSE3 spot is ~28px away
+
+    ctx.scheduleSnap(node);
+    await clock.advance(SNAP.dur * 1000 + 50);
+
+    expect(center()).toEqual({ x: 300, y: 100 });
+    expect(clock.timers.size).toBe(0);
+  });
+
+  it('leaves groups dropped far from every candidate alone', async () => {
+    ctx.snapMode = 'magnet';
+    setTranslate(node, 100, 200);
+
+    ctx.scheduleSnap(node);
+    await clock.advance(2000);
+
+    expect(center()).toEqual({ x: 200, y: 300 });
+  });
+
+  it('returns to the anchor after the idle timeout', async () => {
+    ctx.snapMode = 'idle';
+    setTranslate(node, 100, 200);
+
+    ctx.scheduleSnap(node);
+    await clock.advance(900);
+    expect(center()).toEqual({ x: 200, y: 300 });
+
+    await clock.advance(100 + SNAP.dur * 1000 + 50);
+    expect(center()).toEqual({ x: 100, y: 100 });
+  });
+
+  it('waits for the glide to settle and drops snaps superseded by a new grab', async () => {
+    let settle;
+    const glide = new Promise((r) => {
+      settle = r;
+    });
+
+    setTranslate(node, 100, 200);
+    ctx.scheduleSnap(node, glide);
+    await clock.advance(2000);
+    expect(clock.timers.size).toBe(0);
+
+    ctx.cancelSnap(node); // grabbed again mid-glide
+    settle();
+    await clock.advance(2000);
+
+    expect(center()).toEqual({ x: 200, y: 300 });
+  });
+
+  it('is off by default and reads data-logo-snap / data-logo-snap-idle', () => {
+    expect(new InteractiveNeeedaLogo()).toMatchObject({ snapMode: 'off', snapIdleMs: SNAP.idleMs });
+
+    document.body.setAttribute('data-logo-snap', 'idle');
+    document.body.setAttribute('data-logo-snap-idle', '2500');
+
+    expect(new InteractiveNeeedaLogo()).toMatchObject({ snapMode: 'idle', snapIdleMs: 2500 });
+
+    document.body.removeAttribute('data-logo-snap');
+    document.body.removeAttribute('data-logo-snap-idle');
+  });
+});
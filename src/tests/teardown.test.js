@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getTranslate, setTranslate } from '../scripts/logo/_animation-engine.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+describe('destroy()', () => {
+  let svg;
+
+  beforeEach(() => {
+    const ns = 'http://www.w3.org/2000/svg';
+    svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', '0 0 361 65');
+    const cover = document.createElementNS(ns, 'rect');
+    cover.id = 'cover-bg';
+    svg.appendChild(cover);
+    for (const id of ['segA', 'segB']) {
+      const path = document.createElementNS(ns, 'path');
+      path.id = id;
+      path.setAttribute('stroke-width', '47');
+      svg.appendChild(path);
+    }
+    for (const id of ['gradA', 'gradB']) {
+      const grad = document.createElementNS(ns, 'linearGradient');
+      grad.id = id;
+      svg.appendChild(grad);
+    }
+    const logo = document.createElementNS(ns, 'g');
+    logo.id = 'neeeda-logo';
+    logo.getBBox = () => ({ x: 0, y: 0, width: 361, height: 65 });
+    for (const id of ['v1', 'v2', 'v3']) {
+      const g = document.createElementNS(ns, 'g');
+      g.id = id;
+      const handle = document.createElementNS(ns, 'rect');
+      handle.id = `handle-${id}`;
+      g.appendChild(handle);
+      logo.appendChild(g);
+    }
+    svg.appendChild(logo);
+    document.body.appendChild(svg);
+    svg.createSVGPoint = () => ({ x: 0, y: 0, matrixTransform: () => ({ x: 0, y: 0 }) });
+    svg.getScreenCTM = () => ({ inverse: () => ({ e: 0, f: 0 }) });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+    document.body.className = '';
+    document.body.removeAttribute('data-logo-compact');
+  });
+
+  /** Wire the controller the way init() does, without waiting for frames. */
+  const mount = () => {
+    const app = new InteractiveNeeedaLogo();
+    for (const { node } of app.groups) app.setupDrag(node);
+    app.layout();
+    app.attachCoverBg();
+    app.attachResize();
+    app.attachIntroSkip();
+    return app;
+  };
+
+  it('removes every listener it added', () => {
+    const added = [];
+    const removed = [];
+    const track = (target) => {
+      const add = target.addEventListener.bind(target);
+      const remove = target.removeEventListener.bind(target);
+      vi.spyOn(target, 'addEventListener').mockImplementation((type, fn, o) => {
+        added.push([target, type, fn]);
+        add(type, fn, o);
+      });
+      vi.spyOn(target, 'removeEventListener').mockImplementation((type, fn, o) => {
+        removed.push([target, type, fn]);
+        remove(type, fn, o);
+      });
+    };
+    track(window);
+    track(document);
+
+    const app = mount();
+    app.destroy();
+
+    const key = ([target, type, fn]) => [target, type, fn];
+    for (const entry of added) expect(removed.map(key)).toContainEqual(key(entry));
+  });
+
+  it('restores the SVG and body flags so the logo can be mounted again', () => {
+    const before = svg.outerHTML;
+
+    const app = mount();
+    setTranslate(app.groups[0].node, 40, 12);
+    document.body.classList.add('booted', 'loader-done');
+    expect(svg.outerHTML).not.toBe(before);
+
+    app.destroy();
+    app.destroy();
+
+    expect(svg.outerHTML).toBe(before);
+    expect(document.body.classList.contains('loader-done')).toBe(false);
+    expect(document.body.hasAttribute('data-logo-compact')).toBe(false);
+    expect(getTranslate(app.groups[0].node)).toEqual({ x: 0, y: 0 });
+
+    const again = mount();
+    expect(again.dragRegistry.size).toBe(3);
+    again.destroy();
+    expect(svg.outerHTML).toBe(before);
+  });
+
+  it('cancels a running scale animation and preloader timeline', async () => {
+    const app = mount();
+    const scale = app.animateGroupScaleTransform(0.5);
+    const kill = vi.fn();
+    app.preloaderTimeline = { kill };
+
+    app.destroy();
+    await scale;
+
+    expect(kill).toHaveBeenCalledTimes(1);
+    expect(app.currentGroupScale).toBe(1);
+  });
+});
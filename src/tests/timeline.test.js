@@ -0,0 +1,133 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getTranslate, setTranslate } from '../scripts/logo/_animation-engine.js';
+import { Timeline } from '../scripts/logo/_timeline.js';
+
+describe('Timeline', () => {
+  let a;
+  let b;
+  beforeEach(() => {
+    a = document.createElement('div');
+    b = document.createElement('div');
+    setTranslate(a, 0, 0);
+    setTranslate(b, 0, 0);
+  });
+
+  it('resolves labels, relative offsets and stagger into start times', () => {
+    const tl = new Timeline();
+    tl.to(a, { x: 100, duration: 1 });
+    tl.addLabel('next', '+=0.5');
+    tl.to([a, b], { y: 50, duration: 1, stagger: 0.25 }, 'next');
+    tl.hold(0.5);
+
+    expect(tl.labels.get('next')).toBe(1.5);
+    expect(tl.items.map((it) => it.start)).toEqual([0, 1.5, 1.75, 2.75]);
+    expect(tl.duration()).toBe(3.25);
+  });
+
+  it('seek renders intermediate and restored states in both directions', () => {
+    const tl = new Timeline();
+    tl.to(a, { x: 100, duration: 1, ease: 'linear' });
+    tl.to(a, { dy: 40, duration: 1, ease: 'linear' });
+
+    tl.seek(0.5);
+    expect(getTranslate(a)).toEqual({ x: 50, y: 0 });
+
+    tl.seek(1.5);
+    expect(getTranslate(a)).toEqual({ x: 100, y: 20 });
+
+    tl.seek(0.25);
+    expect(getTranslate(a)).toEqual({ x: 25, y: 0 });
+
+    tl.seek(0);
+    expect(getTranslate(a)).toEqual({ x: 0, y: 0 });
+  });
+
+  it('fires callbacks when crossed and skips them while seeking by default', () => {
+    const spy = vi.fn();
+    const tl = new Timeline();
+    tl.to(a, { x: 10, duration: 1 });
+    tl.call(spy, 0.5);
+
+    tl.seek(0.75);
+    expect(spy).not.toHaveBeenCalled();
+
+    tl.seek(0);
+    tl.seek(1, { suppressCallbacks: false });
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  it('play resolves at the end and reverse returns to the start', async () => {
+    const tl = new Timeline({ timeScale: 4 });
+    tl.to(a, { x: 30, y: -10, duration: 0.04 });
+
+    await tl.play();
+    expect(getTranslate(a)).toEqual({ x: 30, y: -10 });
+    expect(tl.progress()).toBe(1);
+
+    await tl.reverse();
+    expect(getTranslate(a)).toEqual({ x: 0, y: 0 });
+    expect(tl.time).toBe(0);
+  });
+
+  it('pause holds the playhead until resume', async () => {
+    const tl = new Timeline();
+    tl.to(a, { x: 100, duration: 0.05 });
+
+    const done = tl.play();
+    tl.pause();
+    await new Promise((r) => setTimeout(r, 80));
+    expect(tl.progress()).toBeLessThan(1);
+
+    tl.resume();
+    await done;
+    expect(getTranslate(a).x).toBe(100);
+  });
+
+  it('retarget continues in-flight tweens from where they are to fresh end values', () => {
+    let goal = 100;
+    const onRetarget = vi.fn();
+    const tl = new Timeline({ onRetarget });
+    tl.to(a, { x: () => goal, duration: 1, ease: 'power2.inOut' });
+    tl.to(b, { x: () => goal, duration: 1, ease: 'linear', retarget: false }, 0);
+    tl.to(b, { dy: () => goal, duration: 1, ease: 'linear' }, 1);
+
+    tl.seek(0.5);
+    const before = getTranslate(a).x;
+
+    goal = 300;
+    tl.retarget();
+
+    expect(onRetarget).toHaveBeenCalledTimes(1);
+    expect(getTranslate(a).x).toBe(before);
+
+    tl.seek(0.75);
+    expect(getTranslate(a).x).toBeGreaterThan(before);
+    expect(getTranslate(b).x).toBe(75);
+
+    tl.seek(2);
+    expect(getTranslate(a)).toEqual({ x: 300, y: 0 });
+    expect(getTranslate(b)).toEqual({ x: 100, y: 300 });
+  });
+
+  it('retarget stays bounded with an overshooting ease near the end of its curve', () => {
+    let goal = 100;
+    const tl = new Timeline();
+    tl.to(a, { x: () => goal, duration: 1, ease: 'back.out' });
+
+    // back.out crosses 1 at ~0.37 and peaks above it afterwards
+    tl.seek(0.36);
+    const before = getTranslate(a).x;
+
+    goal = 300;
+    tl.retarget();
+    expect(getTranslate(a).x).toBe(before);
+
+    for (let i = 37; i <= 100; i++) {
+      tl.seek(i / 100);
+      expect(getTranslate(a).x).toBeGreaterThan(before - 1);
+      expect(getTranslate(a).x).toBeLessThan(400);
+    }
+
+    expect(getTranslate(a).x).toBe(300);
+  });
+});
@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { ManualClock, resetClock, setClock } from '../scripts/logo/_clock.js';
+import { TRAIL } from '../scripts/logo/_constants.js';
+import { trailSegments } from '../scripts/logo/_trail-path.js';
+import { InteractiveNeeedaLogo } from '../scripts/logo/logo.js';
+
+const A = { x: 0, y: 100 };
+const B = { x: 100, y: 0 };
+const C = { x: 200, y: 100 };
+
+describe('trailSegments', () => {
+  it('keeps the historical straight lines by default', () => {
+    expect(trailSegments([A, B, C]).map((s) => s.d)).toEqual(['M 0 100 L 100 0', 'M 100 0 L 200 100']);
+  });
+
+  it('bows quadratic segments off their midpoint', () => {
+    const [seg] = trailSegments([A, B], 'quadratic', 0.5);
+
+    expect(seg.d).toBe('M 0 100 Q 25 25 100 0');
+  });
+
+  it('pulls cubic control points horizontally by tension', () => {
+    const [seg] = trailSegments([A, B], 'cubic', 0.4);
+
+    expect(seg.d).toBe('M 0 100 C 40 100 60 0 100 0');
+  });
+
+  it('shares the tangent at the middle anchor for the smooth spline', () => {
+    const [first, second] = trailSegments([A, B, C], 'smooth', 0.5);
+    const nums = (d) => d.match(/-?[\d.]+/g).map(Number);
+    const [, , , , c2x, c2y] = nums(first.d);
+    const [, , c1x, c1y] = nums(second.d);
+
+    // Incoming and outgoing control points are mirrored around B
+    expect(B.x - c2x).toBeCloseTo(c1x - B.x);
+    expect(B.y - c2y).toBeCloseTo(c1y - B.y);
+  });
+
+  it('starts and ends every segment on its anchors (gradient endpoints)', () => {
+    for (const style of TRAIL.styles) {
+      const segs = trailSegments([A, B, C], style);
+
+      expect(segs.map(({ from, to }) => [from, to])).toEqual([
+        [A, B],
+        [B, C],
+      ]);
+      expect(segs[1].d.startsWith('M 100 0')).toBe(true);
+      expect(segs[1].d.endsWith('200 100')).toBe(true);
+    }
+  });
+});
+
+describe('InteractiveNeeedaLogo trail', () => {
+  let clock;
+  let logo;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <svg>
+        <linearGradient id="gradA"></linearGradient><linearGradient id="gradB"></linearGradient>
+        <path id="segA"></path><path id="segB"></path>
+        <g id="neeeda-logo">
+          <g id="v1"><g id="handle-v1"></g></g><g id="v2"><g id="handle-v2"></g></g><g id="v3"><g id="handle-v3"></g></g>
+        </g>
+      </svg>`;
+
+    clock = new ManualClock();
+    setClock(clock);
+
+    logo = new InteractiveNeeedaLogo();
+
+    const anchors = [A, B, C];
+
+    logo.groups.forEach(({ handle }, i) => {
+      const { x, y } = anchors[i];
+
+      handle.getBoundingClientRect = () => ({ left: x - 5, top: y - 10, width: 10, height: 10, right: x + 5, bottom: y });
+    });
+    Object.assign(logo, { halfStrokePx: () => 0, screenToSvg: (x, y) => ({ x, y }) });
+  });
+
+  afterEach(() => {
+    logo.destroy();
+    resetClock();
+    document.body.innerHTML = '';
+  });
+
+  it('renders the configured style and aligns the gradients to the curve ends', () => {
+    logo.setTrailStyle('quadratic', 0.5);
+
+    expect(logo.trailA.getAttribute('d')).toBe('M 0 100 Q 25 25 100 0');
+    expect(['x1', 'y1', 'x2', 'y2'].map((n) => logo.gradientB.getAttribute(n))).toEqual(['100', '0', '200', '100']);
+
+    logo.setTrailStyle('zigzag');
+    expect(logo.trailStyle).toBe('line');
+  });
+
+  it('reads data-logo-trail and its tension', () => {
+    document.body.setAttribute('data-logo-trail', 'smooth');
+    document.body.setAttribute('data-logo-trail-tension', '2');
+
+    expect(new InteractiveNeeedaLogo()).toMatchObject({ trailStyle: 'smooth', trailTension: 1 });
+
+    document.body.removeAttribute('data-logo-trail');
+    document.body.removeAttribute('data-logo-trail-tension');
+  });
+
+  it('draws the strokes on one after the other, then clears the dash styles', async () => {
+    const draw = logo.drawOnTrail({ duration: 1, ease: 'linear' });
+
+    expect(logo.trailA.getAttribute('pathLength')).toBe('1');
+    expect(logo.trailA.style.strokeDashoffset).toBe('1');
+
+    clock.step(250);
+    expect(Number(logo.trailA.style.strokeDashoffset)).toBeCloseTo(0.5);
+    expect(logo.trailB.style.strokeDashoffset).toBe('1');
+
+    clock.step(500);
+    expect(logo.trailA.style.strokeDashoffset).toBe('0');
+    expect(Number(logo.trailB.style.strokeDashoffset)).toBeCloseTo(0.5);
+
+    await clock.advance(300);
+    await draw.promise;
+
+    expect(logo.trailB.hasAttribute('pathLength')).toBe(false);
+    expect(logo.trailB.style.strokeDashoffset).toBe('');
+    expect(logo.trailDraw).toBe(null);
+  });
+
+  it('shows the full strokes when the draw-on is cancelled', () => {
+    logo.drawOnTrail();
+    clock.step();
+    logo.trailDraw.cancel();
+
+    expect(logo.trailA.style.strokeDasharray).toBe('');
+    expect(clock.pendingFrames()).toBe(0);
+  });
+});
@@ -0,0 +1,19 @@
+import { defineConfig } from 'vite';
+import { fileURLToPath } from 'node:url';
+import { dirname, resolve } from 'node:path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Standalone <neeeda-logo> bundle (SVG + styles inlined) for pages outside this Vite setup.
+export default defineConfig({
+  build: {
+    outDir: resolve(__dirname, 'dist-element'),
+    emptyOutDir: true,
+    lib: {
+      entry: resolve(__dirname, 'src/scripts/logo/element.js'),
+      formats: ['es'],
+      fileName: () => 'neeeda-logo.js',
+    },
+  },
+});